@@ -10,18 +10,31 @@ function getDeviceId() {
   return id;
 }
 
-async function api(path, opts = {}) {
+// CSRF token of the admin session (from /api/admin/me), sent on every mutation
+let csrfToken = null;
+// Permissions of the signed-in role (from /api/admin/me)
+let permissions = [];
+
+async function api(path, opts = {}, retried = false) {
+  const method = (opts.method || "GET").toUpperCase();
   const res = await fetch(API_BASE + path, {
+    ...opts,
     credentials: "include",
     headers: {
       "Content-Type": "application/json",
       "X-Device-Id": getDeviceId(),
+      ...(method !== "GET" && csrfToken ? { "X-CSRF-Token": csrfToken } : {}),
       ...(opts.headers || {})
-    },
-    ...opts
+    }
   });
   const ct = res.headers.get("content-type") || "";
   const data = ct.includes("application/json") ? await res.json().catch(() => ({})) : await res.text().catch(() => "");
+  if (data && typeof data === "object" && "csrf_token" in data) csrfToken = data.csrf_token;
+
+  if (res.status === 403 && data?.code === "csrf" && !retried) {
+    await api("/api/admin/me").catch(() => null);
+    if (csrfToken) return api(path, opts, true);
+  }
   if (!res.ok) {
     const msg = (data && data.error) ? data.error : `Erreur (${res.status})`;
     throw Object.assign(new Error(msg), { status: res.status, data });
@@ -29,6 +42,169 @@ async function api(path, opts = {}) {
   return data;
 }
 
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+}
+
+// Exports are admin-only: fetch them like api() then hand the blob to the browser
+async function download(path) {
+  const res = await fetch(API_BASE + path, {
+    credentials: "include",
+    headers: { "X-Device-Id": getDeviceId() }
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error ? String(data.error) : `Erreur (${res.status})`);
+  }
+  const name = /filename="([^"]+)"/.exec(res.headers.get("content-disposition") || "")?.[1] || "export";
+  const url = URL.createObjectURL(await res.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Idea exports need the "ideas" permission, poll exports "polls": other roles don't see the cards
+async function setupExports(polls, permissions) {
+  document.getElementById("export-ideas-card").style.display = permissions.includes("ideas") ? "" : "none";
+  document.getElementById("export-polls-card").style.display = permissions.includes("polls") ? "" : "none";
+
+  const sel = document.getElementById("exp-category");
+  if (sel.options.length === 1) {
+    // Falls back to the public (active) list if the admin one can't be read
+    const cats = await api("/api/admin/categories")
+      .catch(() => api("/api/public/categories"))
+      .catch(() => []);
+    for (const c of cats) sel.add(new Option(`${c.emoji || ""} ${c.label}`.trim(), c.slug));
+  }
+
+  document.getElementById("exp-polls").innerHTML = polls.length
+    ? polls.map(p => `
+      <div class="poll-export">
+        <div><b>#${p.id}</b> ${escapeHtml(p.question)} <span class="muted">(${p.votes || 0} votes)</span></div>
+        <div style="display:flex;gap:6px">
+          <button class="btn" data-export-poll="${p.id}" data-format="csv">CSV</button>
+          <button class="btn ghost" data-export-poll="${p.id}" data-format="xlsx">XLSX</button>
+        </div>
+      </div>`).join("")
+    : `<div class="muted">Aucun sondage.</div>`;
+}
+
+document.addEventListener("click", (e) => {
+  const ideasBtn = e.target.closest("[data-export-ideas]");
+  const pollBtn = e.target.closest("[data-export-poll]");
+  if (!ideasBtn && !pollBtn) return;
+
+  let path;
+  if (ideasBtn) {
+    const params = new URLSearchParams({ format: ideasBtn.dataset.exportIdeas });
+    for (const key of ["status", "category", "from", "to"]) {
+      const v = document.getElementById(`exp-${key}`).value;
+      if (v) params.set(key, v);
+    }
+    path = `/api/admin/export/ideas?${params}`;
+  } else {
+    path = `/api/admin/export/polls/${pollBtn.dataset.exportPoll}?format=${pollBtn.dataset.format}`;
+  }
+  download(path).catch((err) => alert("❌ " + err.message));
+});
+
+// ---------- login activity ----------
+function renderLoginRow(l, detail) {
+  return `
+    <div class="audit-row">
+      <span class="muted">${escapeHtml(new Date(l.created_at).toLocaleString("fr-FR"))}</span>
+      • <span class="who">${escapeHtml(l.display_name || l.username)}</span> ${escapeHtml(detail)}
+      <div class="muted">IP ${escapeHtml(l.ip_hash)} • ${escapeHtml((l.user_agent || "navigateur inconnu").slice(0, 90))}</div>
+    </div>`;
+}
+
+async function loadSecurity() {
+  const data = await api("/api/admin/security/logins");
+
+  document.getElementById("sec-summary").textContent =
+    `${data.failures_24h} échec(s) de connexion sur 24 h • ${data.alerts.length} alerte(s) non vue(s)`;
+  document.getElementById("sec-alerts").innerHTML = data.alerts.map(a => `
+    <div class="alert-row">
+      <div>⚠️ ${escapeHtml(a.label)} <span class="muted">${escapeHtml(new Date(a.created_at).toLocaleString("fr-FR"))}</span></div>
+      ${permissions.includes("users") ? `<button class="btn ghost" data-ack-alert="${a.id}">Vu</button>` : ""}
+    </div>`).join("");
+  document.getElementById("sec-logins").innerHTML =
+    data.logins.map(l => renderLoginRow(l, `(${l.method})`)).join("") || `<div class="muted">Aucune connexion.</div>`;
+  document.getElementById("sec-failures").innerHTML =
+    data.failures.map(f => renderLoginRow(f, `— ${f.reason_label}`)).join("") || `<div class="muted">Aucun échec.</div>`;
+}
+
+document.addEventListener("click", (e) => {
+  const btn = e.target.closest("[data-ack-alert]");
+  if (!btn) return;
+  api(`/api/admin/security/alerts/${btn.dataset.ackAlert}/ack`, { method: "POST" })
+    .then(loadSecurity)
+    .catch((err) => alert("❌ " + err.message));
+});
+
+// ---------- audit log ----------
+let auditBefore = null;
+
+function auditQuery() {
+  const params = new URLSearchParams({ limit: "30" });
+  const map = { user_id: "audit-user", action: "audit-action", target_id: "audit-target", from: "audit-from", to: "audit-to" };
+  for (const [key, id] of Object.entries(map)) {
+    const v = document.getElementById(id).value.trim();
+    if (v) params.set(key, v);
+  }
+  if (auditBefore) params.set("before", auditBefore);
+  return params;
+}
+
+function renderAuditRow(e) {
+  const target = e.target_type ? `${e.target_type}${e.target_id ? " #" + e.target_id : ""}` : "";
+  const snapshot = (label, v) => v === null ? "" : `<div class="muted">${label}</div><pre>${escapeHtml(JSON.stringify(v, null, 2))}</pre>`;
+  return `
+    <div class="audit-row">
+      <span class="muted">${escapeHtml(new Date(e.created_at).toLocaleString("fr-FR"))}</span>
+      • <span class="who">${escapeHtml(e.actor)}</span>
+      • ${escapeHtml(e.action_label)} <span class="muted">${escapeHtml(target)}</span>
+      ${e.before !== null || e.after !== null ? `
+        <details>
+          <summary class="muted">Détails (IP ${escapeHtml(e.ip_hash || "—")})</summary>
+          ${snapshot("Avant", e.before)}${snapshot("Après", e.after)}
+        </details>` : ""}
+    </div>`;
+}
+
+async function loadAudit(reset = true) {
+  if (reset) auditBefore = null;
+  const list = document.getElementById("audit-list");
+  const data = await api(`/api/admin/audit?${auditQuery()}`);
+
+  const userSel = document.getElementById("audit-user");
+  if (userSel.options.length === 1) {
+    for (const u of data.actors) userSel.add(new Option(`${u.display_name} (@${u.username})`, u.id));
+  }
+  const actionSel = document.getElementById("audit-action");
+  if (actionSel.options.length === 1) {
+    for (const [key, label] of Object.entries(data.actions)) actionSel.add(new Option(label, key));
+  }
+
+  const html = data.items.map(renderAuditRow).join("");
+  if (reset) list.innerHTML = html || `<div class="muted">Aucune entrée.</div>`;
+  else list.insertAdjacentHTML("beforeend", html);
+
+  auditBefore = data.next_before;
+  document.getElementById("audit-more").style.display = auditBefore ? "inline-block" : "none";
+}
+
+document.getElementById("audit-search").addEventListener("click", () => {
+  loadAudit(true).catch((err) => alert("❌ " + err.message));
+});
+document.getElementById("audit-more").addEventListener("click", () => {
+  loadAudit(false).catch((err) => alert("❌ " + err.message));
+});
+
 function drawBar(canvas, labels, values) {
   const ctx = canvas.getContext("2d");
   const w = canvas.width = canvas.clientWidth * devicePixelRatio;
@@ -118,14 +294,16 @@ function drawLine(canvas, labels, values) {
 }
 
 async function main() {
+  let me;
   try {
-    await api("/api/admin/me");
+    me = await api("/api/admin/me");
   } catch {
     document.getElementById("not-admin").style.display = "block";
     return;
   }
 
   document.getElementById("dash").style.display = "grid";
+  permissions = me.permissions || [];
 
   const data = await api("/api/stats");
 
@@ -139,7 +317,7 @@ async function main() {
   const st = data.ideas?.byStatus || [];
   drawBar(
     document.getElementById("chart-ideas"),
-    st.map(x => x.status),
+    st.map(x => x.label || x.status),
     st.map(x => x.count)
   );
 
@@ -156,7 +334,26 @@ async function main() {
     polls.map(p => `#${p.id}`),
     polls.map(p => p.votes || 0)
   );
+
+  const news = (data.news?.recent || []).slice().reverse();
+  drawBar(
+    document.getElementById("chart-news"),
+    news.map(n => `#${n.id}`),
+    news.map(n => n.views || 0)
+  );
+  document.getElementById("news-reach").innerHTML = (data.news?.recent || []).map(n => `
+    <div class="reach-row">
+      <div><b>#${n.id}</b> ${escapeHtml(n.title)} <span class="muted">${escapeHtml(new Date(n.published_at).toLocaleDateString("fr-FR"))}</span></div>
+      <div>👁️ ${n.views} • ${n.reactions.filter(r => r.count).map(r => `${r.emoji} ${r.count}`).join(" ") || "aucune réaction"}</div>
+    </div>`).join("") || `<div class="muted">Aucune actualité.</div>`;
+
+  await setupExports(data.polls || [], permissions);
 }
 
 addEventListener("resize", () => { main().catch(() => {}); });
-main().catch((e) => alert("❌ " + e.message));
+main()
+  .then(() => {
+    if (document.getElementById("dash").style.display !== "grid") return;
+    return Promise.all([loadSecurity(), loadAudit()]);
+  })
+  .catch((e) => alert("❌ " + e.message));
@@ -24,9 +24,12 @@
   function getSet(key) { return new Set(safeJsonParse(localStorage.getItem(key) || "[]", [])); }
   function saveSet(key, set) { localStorage.setItem(key, JSON.stringify(Array.from(set))); }
 
-  async function isAdmin() {
-    try { await window.api("/api/admin/me"); return true; }
-    catch { return false; }
+  // Optional permission ("push", "ideas", ...) as returned by /api/admin/me
+  async function isAdmin(permission) {
+    try {
+      const me = await window.api("/api/admin/me");
+      return !permission || (me.permissions || []).includes(permission);
+    } catch { return false; }
   }
 
   // ---------- dark mode ----------
@@ -87,11 +90,12 @@
   function patchNewsFavorites() {
     if (typeof window.renderNews !== "function") return;
 
-    window.renderNews = function(items, homeOnly) {
+    window.renderNews = function(items, homeOnly, append = false) {
       const fav = getSet(LS_EXTRA.FAV_NEWS);
       const listEl = homeOnly ? document.getElementById("home-news") : document.getElementById("news-list");
+      if (window.trackNewsViews) window.trackNewsViews(items);
 
-      if (!items || !items.length) {
+      if (!append && (!items || !items.length)) {
         listEl.innerHTML = `
           <div class="empty-state">
             <div class="empty-state-icon">📰</div>
@@ -104,21 +108,26 @@
         const isOn = fav.has(String(n.id));
         return `
           <div class="card">
+            ${window.newsCoverHtml ? window.newsCoverHtml(n) : ""}
             <div class="news-item">
               <div class="fav-row">
-                <div class="news-date">${window.escapeHtml(new Date(n.created_at).toLocaleDateString("fr-FR"))}</div>
+                <div class="news-date">${n.pinned ? "📌 " : ""}${window.escapeHtml(new Date(n.created_at).toLocaleDateString("fr-FR"))}</div>
                 <button class="fav-btn ${isOn ? "on" : ""}" data-fav-news="${n.id}" title="Favori">⭐</button>
               </div>
-              <div class="news-title">${window.escapeHtml(n.title)}</div>
-              <div class="news-content">${window.escapeHtml(n.description).replaceAll("\\n","<br>")}</div>
+              <div class="news-title"><a href="#actualites/${n.id}" style="color: inherit; text-decoration: none;">${window.escapeHtml(n.title)}</a></div>
+              <div class="news-content">${n.description_html ?? window.escapeHtml(n.description).replaceAll("\n","<br>")}</div>
+              ${window.newsAttachmentsHtml ? window.newsAttachmentsHtml(n) : ""}
+              ${window.newsReactionsHtml ? window.newsReactionsHtml(n) : ""}
             </div>
           </div>
         `;
       }).join("");
 
-      listEl.innerHTML = html;
+      if (append) listEl.insertAdjacentHTML("beforeend", html);
+      else listEl.innerHTML = html;
 
-      listEl.querySelectorAll("[data-fav-news]").forEach(btn => {
+      listEl.querySelectorAll("[data-fav-news]:not([data-wired])").forEach(btn => {
+        btn.setAttribute("data-wired", "1");
         btn.addEventListener("click", (e) => {
           e.preventDefault();
           e.stopPropagation();
@@ -130,56 +139,40 @@
     };
   }
 
-  // Override loadIdeas (admin list adds ⭐)
+  // Override renderIdeaCard (admin list adds ⭐)
   function patchIdeaFavorites() {
-    if (typeof window.loadIdeas !== "function") return;
-
-    window.loadIdeas = async function() {
-      try {
-        const ideas = await window.api("/api/admin/ideas");
-        const fav = getSet(LS_EXTRA.FAV_IDEAS);
-
-        document.getElementById("ideas-count").textContent = `${ideas.length} idées`;
-        if (!ideas.length) {
-          document.getElementById("ideas-list").innerHTML = `
-            <div class="empty-state">
-              <div class="empty-state-icon">💡</div>
-              <div class="empty-state-text">Aucune idée reçue</div>
-            </div>`;
-          return;
-        }
-
-        document.getElementById("ideas-list").innerHTML = ideas.map(i => {
-          const isOn = fav.has(String(i.id));
-          return `
-            <div class="idea-card">
-              <div class="fav-row">
-                <div class="idea-meta">
-                  <span class="badge badge-primary">${window.escapeHtml(i.category_label)}</span>
-                  <span class="badge ${i.urgency === "haute" ? "badge-danger" : (i.urgency === "moyenne" ? "badge-warning" : "badge-success")}">${window.escapeHtml(i.urgency)}</span>
-                  <span class="badge badge-primary">${window.escapeHtml(i.status)}</span>
-                </div>
-                <button class="fav-btn ${isOn ? "on" : ""}" data-fav-idea="${i.id}" title="Favori">⭐</button>
-              </div>
-              <div class="idea-content">${window.escapeHtml(i.text).replaceAll("\\n","<br>")}</div>
-              <div class="idea-date">${window.escapeHtml(new Date(i.created_at).toLocaleString("fr-FR"))}</div>
+    if (typeof window.renderIdeaCard !== "function") return;
+
+    window.renderIdeaCard = function(i) {
+      const isOn = getSet(LS_EXTRA.FAV_IDEAS).has(String(i.id));
+      return `
+        <div class="idea-card">
+          <div class="fav-row">
+            <div class="idea-meta">
+              <span class="badge badge-primary">${window.escapeHtml(i.category_label)}</span>
+              <span class="badge ${i.urgency === "haute" ? "badge-danger" : (i.urgency === "moyenne" ? "badge-warning" : "badge-success")}">${window.escapeHtml(i.urgency)}</span>
+              <span class="badge badge-primary">${window.escapeHtml(i.status_label || i.status)}</span>
             </div>
-          `;
-        }).join("");
-
-        document.getElementById("ideas-list").querySelectorAll("[data-fav-idea]").forEach(btn => {
-          btn.addEventListener("click", (e) => {
-            e.preventDefault();
-            e.stopPropagation();
-            const id = btn.getAttribute("data-fav-idea");
-            const on = toggleFav(LS_EXTRA.FAV_IDEAS, id);
-            btn.classList.toggle("on", on);
-          });
-        });
-      } catch (e) {
-        document.getElementById("ideas-list").innerHTML = `<div class="alert alert-warning">${window.escapeHtml(e.message)}</div>`;
-      }
+            <button class="fav-btn ${isOn ? "on" : ""}" data-fav-idea="${i.id}" title="Favori">⭐</button>
+          </div>
+          <div class="idea-content">${window.escapeHtml(i.text).replaceAll("\\n","<br>")}</div>
+          <div class="idea-date">${window.escapeHtml(new Date(i.created_at).toLocaleString("fr-FR"))}</div>
+          ${window.renderIdeaAdminControls(i)}
+        </div>
+      `;
     };
+
+    // Cards are appended page by page: one delegated listener for all of them
+    const list = document.getElementById("ideas-list");
+    if (!list) return;
+    list.addEventListener("click", (e) => {
+      const btn = e.target.closest("[data-fav-idea]");
+      if (!btn) return;
+      e.preventDefault();
+      e.stopPropagation();
+      const on = toggleFav(LS_EXTRA.FAV_IDEAS, btn.getAttribute("data-fav-idea"));
+      btn.classList.toggle("on", on);
+    });
   }
 
   // ---------- global search ----------
@@ -238,32 +231,31 @@
 
     out.innerHTML = `<div class="alert alert-info">⏳ Recherche…</div>`;
 
-    const [news, poll, admin] = await Promise.all([
-      window.api("/api/public/news").catch(() => []),
-      window.api("/api/public/poll").catch(() => ({ active: 0 })),
-      isAdmin()
+    const [news, polls, admin] = await Promise.all([
+      window.api("/api/public/news?limit=50").then(page => page.items || []).catch(() => []),
+      window.api("/api/public/polls").then(r => r.open || []).catch(() => []),
+      isAdmin("ideas")
     ]);
 
+    // Ideas are searched server-side (text + category), not only the first page
     let ideas = [];
-    if (admin) ideas = await window.api("/api/admin/ideas").catch(() => []);
+    if (admin) {
+      ideas = await window.api(`/api/admin/ideas?q=${encodeURIComponent(query)}&limit=20`)
+        .then(page => page.items || [])
+        .catch(() => []);
+    }
 
     const newsHits = (news || []).filter(n =>
       String(n.title).toLowerCase().includes(query) ||
       String(n.description).toLowerCase().includes(query)
     );
 
-    const pollHits = [];
-    if (poll && poll.active) {
-      const txt = [poll.question, ...(poll.options || [])].join(" ").toLowerCase();
-      if (txt.includes(query)) pollHits.push(poll);
-    }
-
-    const ideaHits = (ideas || []).filter(i =>
-      String(i.text).toLowerCase().includes(query) ||
-      String(i.category_label || i.category).toLowerCase().includes(query) ||
-      String(i.status).toLowerCase().includes(query)
+    const pollHits = (polls || []).filter(p =>
+      [p.question, ...(p.options || [])].join(" ").toLowerCase().includes(query)
     );
 
+    const ideaHits = ideas || [];
+
     if (!newsHits.length && !pollHits.length && !ideaHits.length) {
       out.innerHTML = `
         <div class="empty-state">
@@ -279,7 +271,7 @@
       html.push(`<div class="fav-label">Actualités (${newsHits.length})</div>`);
       html.push(newsHits.slice(0, 20).map(n => `
         <div style="padding:.75rem 0;border-bottom:1px solid var(--border)">
-          <div style="font-weight:900;color:var(--primary)">${window.escapeHtml(n.title)}</div>
+          <a href="#actualites/${n.id}" style="font-weight:900;color:var(--primary);text-decoration:none">${window.escapeHtml(n.title)}</a>
           <div style="color:var(--text-secondary);font-size:.9rem">${window.escapeHtml(n.description).slice(0, 160)}${n.description.length > 160 ? "…" : ""}</div>
         </div>
       `).join(""));
@@ -299,7 +291,7 @@
       html.push(`<div style="margin-top:1rem" class="fav-label">Idées (admin) (${ideaHits.length})</div>`);
       html.push(ideaHits.slice(0, 20).map(i => `
         <div style="padding:.75rem 0;border-bottom:1px solid var(--border)">
-          <div style="font-weight:900;color:var(--primary)">${window.escapeHtml(i.category_label || i.category)} • ${window.escapeHtml(i.status)}</div>
+          <div style="font-weight:900;color:var(--primary)">${window.escapeHtml(i.category_label || i.category)} • ${window.escapeHtml(i.status_label || i.status)}</div>
           <div style="color:var(--text-secondary);font-size:.9rem">${window.escapeHtml(i.text).slice(0, 180)}${i.text.length > 180 ? "…" : ""}</div>
         </div>
       `).join(""));
@@ -472,7 +464,7 @@
     container.appendChild(card);
 
     (async () => {
-      const admin = await isAdmin();
+      const admin = await isAdmin("push");
       card.style.display = admin ? "block" : "none";
     })();
 
@@ -1,5 +1,7 @@
-const CACHE_STATIC = "cvl-static-v2";
-const CACHE_RUNTIME = "cvl-runtime-v2";
+const CACHE_STATIC = "cvl-static-v3";
+const CACHE_RUNTIME = "cvl-runtime-v3";
+const CACHE_MEDIA = "cvl-media-v1"; // news covers / attachments, kept across app updates
+const MEDIA_MAX_ENTRIES = 80;
 
 const ASSETS = [
   "/",
@@ -23,7 +25,7 @@ self.addEventListener("activate", (e) => {
     const keys = await caches.keys();
     await Promise.all(
       keys
-        .filter((k) => ![CACHE_STATIC, CACHE_RUNTIME].includes(k))
+        .filter((k) => ![CACHE_STATIC, CACHE_RUNTIME, CACHE_MEDIA].includes(k))
         .map((k) => caches.delete(k))
     );
     await self.clients.claim();
@@ -40,6 +42,23 @@ self.addEventListener("fetch", (e) => {
   const isHTML = req.mode === "navigate" || (req.headers.get("accept") || "").includes("text/html");
   const isPublicApiGet = isSameOrigin && url.pathname.startsWith("/api/public/");
 
+  // News files: cache-first once seen (they never change for a given id), oldest entries evicted
+  if (isSameOrigin && url.pathname.startsWith("/uploads/news/")) {
+    e.respondWith((async () => {
+      const cache = await caches.open(CACHE_MEDIA);
+      const cached = await cache.match(req);
+      if (cached) return cached;
+      const fresh = await fetch(req);
+      if (fresh.ok) {
+        await cache.put(req, fresh.clone());
+        const keys = await cache.keys();
+        await Promise.all(keys.slice(0, Math.max(0, keys.length - MEDIA_MAX_ENTRIES)).map((k) => cache.delete(k)));
+      }
+      return fresh;
+    })());
+    return;
+  }
+
   // HTML navigation: network-first
   if (isSameOrigin && isHTML) {
     e.respondWith((async () => {
@@ -110,14 +129,29 @@ self.addEventListener("push", (event) => {
 self.addEventListener("notificationclick", (event) => {
   event.notification.close();
   const targetUrl = event.notification?.data?.url || "/";
+  const target = new URL(targetUrl, self.location.origin);
 
   event.waitUntil((async () => {
     const allClients = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+    // Only a tab controlled by this worker listens for "open-url" (an older worker's tab wouldn't)
+    const controlledIds = new Set((await self.clients.matchAll({ type: "window" })).map((c) => c.id));
+    // Deep links like /#actualites/42: an open app tab routes them itself, without a reload
+    const appClient = allClients.find((c) => controlledIds.has(c.id) && new URL(c.url).pathname === target.pathname);
+    if (appClient) {
+      await appClient.focus();
+      appClient.postMessage({ type: "open-url", url: target.href });
+      return;
+    }
     for (const c of allClients) {
       if ("focus" in c) {
-        c.focus();
-        c.navigate(targetUrl);
-        return;
+        try {
+          await c.focus();
+          await c.navigate(target.href);
+          return;
+        } catch {
+          // navigate() can be refused for a tab this worker doesn't control: open a window instead
+          break;
+        }
       }
     }
     if (self.clients.openWindow) await self.clients.openWindow(targetUrl);
@@ -1,8 +1,10 @@
 import "dotenv/config";
+import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import crypto from "crypto";
-import { body, validationResult } from "express-validator";
+import zlib from "zlib";
+import { body, query, validationResult } from "express-validator";
 
 import express from "express";
 import helmet from "helmet";
@@ -12,6 +14,7 @@ import rateLimit from "express-rate-limit";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcryptjs";
 import sanitizeHtml from "sanitize-html";
+import multer from "multer";
 import sqlite3 from "sqlite3";
 
 // Lazy load web-push (keeps server runnable even if dependency not installed yet)
@@ -27,16 +30,73 @@ async function getWebPush() {
   }
 }
 
+// Lazy load sharp (native image processing; uploads answer 501 without it)
+let _sharp = null;
+async function getSharp() {
+  if (_sharp) return _sharp;
+  try {
+    const m = await import("sharp");
+    _sharp = m.default || m;
+    return _sharp;
+  } catch {
+    return null;
+  }
+}
+
+// Lazy load qrcode (2FA enrollment falls back to the manual key without it)
+let _qrcode = null;
+async function getQrCode() {
+  if (_qrcode) return _qrcode;
+  try {
+    const m = await import("qrcode");
+    _qrcode = m.default || m;
+    return _qrcode;
+  } catch {
+    return null;
+  }
+}
+
 // ======================
 // Env / config
 // ======================
 const PORT = Number(process.env.PORT || 3000);
 const JWT_SECRET = process.env.JWT_SECRET || "change-me-in-prod";
-const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || ""; // bcrypt hash
+const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH || ""; // bcrypt hash, bootstraps the first account
+const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "admin";
 const COOKIE_NAME = process.env.COOKIE_NAME || "cvl_admin";
+// Admin sessions: the JWT only points to a row in `sessions`
+const SESSION_IDLE_MIN = Number(process.env.SESSION_IDLE_MIN || 60); // logged out after this much inactivity
+const SESSION_MAX_HOURS = Number(process.env.SESSION_MAX_HOURS || 12); // hard limit, even when active
+const SESSION_RENEW_SEC = 5 * 60; // sliding renewal: cookie re-issued at most every 5 min
+// Login lockout: after N failures in a row, wait BASE, then twice as long after each new failure
+const LOGIN_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD || 5); // per account
+const LOGIN_IP_LOCK_THRESHOLD = Number(process.env.LOGIN_IP_LOCK_THRESHOLD || 20); // per IP (school NAT is shared)
+const LOGIN_LOCK_BASE_SEC = Number(process.env.LOGIN_LOCK_BASE_SEC || 60);
+const LOGIN_LOCK_MAX_SEC = Number(process.env.LOGIN_LOCK_MAX_SEC || 24 * 3600);
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "CVL Mauriac";
+const IP_HASH_SECRET = process.env.IP_HASH_SECRET || JWT_SECRET; // keyed: IPv4 is too small for plain sha256
+const NEWS_SCHEDULER_SEC = Number(process.env.NEWS_SCHEDULER_SEC || 60); // scheduled news / polls check interval
+const POLL_RECENT_CLOSED = 5; // closed polls whose results stay on the Sondage screen
 const ORIGIN = process.env.CORS_ORIGIN || ""; // optional
 const DB_PATH = process.env.DB_PATH || "./data.sqlite";
 const IDEA_COOLDOWN_SEC = Number(process.env.IDEA_COOLDOWN_SEC || 60);
+const IDEA_SIMILARITY_THRESHOLD = Number(process.env.IDEA_SIMILARITY_THRESHOLD || 0.55); // 0..1
+
+// Uploaded files live next to the database unless UPLOAD_DIR is set
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(path.dirname(path.resolve(DB_PATH)), "uploads");
+const IDEA_IMAGE_MAX_BYTES = Number(process.env.IDEA_IMAGE_MAX_BYTES || 5 * 1024 * 1024);
+const IDEA_IMAGES_MAX = 2;
+const NEWS_FILE_MAX_BYTES = Number(process.env.NEWS_FILE_MAX_BYTES || 10 * 1024 * 1024); // cover image or attachment
+const NEWS_ATTACHMENTS_MAX = 5;
+
+// Moderation word lists (one entry per line, "#" comments, "mot*" = prefix)
+const MODERATION_WORDS_FILE = process.env.MODERATION_WORDS_FILE || "";
+const MODERATION_NAMES_FILE = process.env.MODERATION_NAMES_FILE || "";
+
+// News feeds (RSS / Atom / JSON Feed)
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/, ""); // absolute feed links (default: request host)
+const FEED_TITLE = process.env.FEED_TITLE || "CVL - Actualités";
+const FEED_MAX_ITEMS = 30;
 
 // Push (Web Push / VAPID)
 const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || "";
@@ -82,6 +142,13 @@ function all(sql, params = []) {
   });
 }
 
+// Adds a column to an existing table (CREATE TABLE IF NOT EXISTS won't alter old databases)
+async function addColumnIfMissing(table, column, ddl) {
+  const cols = await all(`PRAGMA table_info(${table})`);
+  if (cols.some(c => c.name === column)) return;
+  await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${ddl}`);
+}
+
 async function initDb() {
   await run(`PRAGMA journal_mode = WAL;`);
   await run(`PRAGMA foreign_keys = ON;`);
@@ -128,6 +195,16 @@ async function initDb() {
       FOREIGN KEY(poll_id) REFERENCES poll(id) ON DELETE CASCADE
     );
   `);
+  // Poll scheduling: open from opens_at (NULL = now) to closes_at, unless closed by hand
+  await addColumnIfMissing("poll", "opens_at", "TEXT");
+  await addColumnIfMissing("poll", "closes_at", "TEXT");
+  await addColumnIfMissing("poll", "closed_at", "TEXT");
+  await addColumnIfMissing("poll", "pushed_at", "TEXT");
+  await run(`UPDATE poll SET pushed_at = created_at WHERE pushed_at IS NULL AND opens_at IS NULL`);
+  // Poll types: single, multiple (up to max_choices) or ranked; choices_json = whole ballot
+  await addColumnIfMissing("poll", "kind", "TEXT NOT NULL DEFAULT 'single'");
+  await addColumnIfMissing("poll", "max_choices", "INTEGER");
+  await addColumnIfMissing("poll_votes", "choices_json", "TEXT");
 
   await run(`
     CREATE TABLE IF NOT EXISTS info_blocks (
@@ -160,6 +237,284 @@ await run(`
 `);
 await run(`CREATE INDEX IF NOT EXISTS idx_daily_connections_day ON daily_connections(day);`);
 
+  await addColumnIfMissing("ideas", "receipt_hash", "TEXT");
+  await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_ideas_receipt_hash ON ideas(receipt_hash);`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_ideas_device_hash ON ideas(device_hash);`);
+
+  await addColumnIfMissing("ideas", "published", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing("ideas", "published_at", "TEXT");
+
+  await addColumnIfMissing("ideas", "duplicate_of", "INTEGER REFERENCES ideas(id) ON DELETE SET NULL");
+  await run(`CREATE INDEX IF NOT EXISTS idx_ideas_duplicate_of ON ideas(duplicate_of);`);
+
+  // Moderation: 'ok' | 'quarantined' | 'approved' | 'rejected'
+  await addColumnIfMissing("ideas", "moderation_status", "TEXT NOT NULL DEFAULT 'ok'");
+  await addColumnIfMissing("ideas", "moderation_reasons", "TEXT");
+  await addColumnIfMissing("ideas", "moderated_at", "TEXT");
+  await run(`CREATE INDEX IF NOT EXISTS idx_ideas_moderation_status ON ideas(moderation_status);`);
+
+  // News editing / scheduling: publish_at NULL means "published at creation"
+  await addColumnIfMissing("news", "updated_at", "TEXT");
+  await addColumnIfMissing("news", "pinned", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing("news", "publish_at", "TEXT");
+  await addColumnIfMissing("news", "expires_at", "TEXT");
+  await addColumnIfMissing("news", "pushed_at", "TEXT");
+  await run(`UPDATE news SET pushed_at = created_at WHERE pushed_at IS NULL AND publish_at IS NULL`);
+
+  // News files: one optional cover image + downloadable attachments (PDF or images)
+  await run(`
+    CREATE TABLE IF NOT EXISTS news_files (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      news_id INTEGER NOT NULL,
+      kind TEXT NOT NULL, -- 'cover' | 'attachment'
+      file_name TEXT NOT NULL,
+      thumb_name TEXT,
+      original_name TEXT NOT NULL,
+      mime TEXT NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      size INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(news_id) REFERENCES news(id) ON DELETE CASCADE
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_news_files_news ON news_files(news_id);`);
+  // One cover per news item (older duplicates, if any, are dropped first)
+  await run(
+    `DELETE FROM news_files WHERE kind = 'cover'
+     AND id NOT IN (SELECT MAX(id) FROM news_files WHERE kind = 'cover' GROUP BY news_id)`
+  );
+  await run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_news_files_cover ON news_files(news_id) WHERE kind = 'cover';`);
+
+  // Emoji reactions and reach (one view per device), like poll_votes
+  await run(`
+    CREATE TABLE IF NOT EXISTS news_reactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      news_id INTEGER NOT NULL,
+      reaction TEXT NOT NULL,
+      voter_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE(news_id, reaction, voter_hash),
+      FOREIGN KEY(news_id) REFERENCES news(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS news_views (
+      news_id INTEGER NOT NULL,
+      voter_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      PRIMARY KEY(news_id, voter_hash),
+      FOREIGN KEY(news_id) REFERENCES news(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS idea_status_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      idea_id INTEGER NOT NULL,
+      from_status TEXT NOT NULL,
+      to_status TEXT NOT NULL,
+      comment TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(idea_id) REFERENCES ideas(id) ON DELETE CASCADE
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_idea_status_history_idea ON idea_status_history(idea_id);`);
+  // History row written by the status UPDATE itself: both land or neither does
+  await addColumnIfMissing("ideas", "status_comment", "TEXT");
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS ideas_status_history AFTER UPDATE OF status ON ideas
+    WHEN OLD.status IS NOT NEW.status
+    BEGIN
+      INSERT INTO idea_status_history(idea_id, from_status, to_status, comment, created_at)
+      VALUES(NEW.id, OLD.status, NEW.status, NEW.status_comment, strftime('%Y-%m-%dT%H:%M:%fZ', 'now'));
+    END;
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS idea_replies (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      idea_id INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      visibility TEXT NOT NULL DEFAULT 'private',
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(idea_id) REFERENCES ideas(id) ON DELETE CASCADE
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_idea_replies_idea ON idea_replies(idea_id);`);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS idea_images (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      idea_id INTEGER NOT NULL,
+      file_name TEXT NOT NULL,
+      thumb_name TEXT NOT NULL,
+      width INTEGER,
+      height INTEGER,
+      size INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(idea_id) REFERENCES ideas(id) ON DELETE CASCADE
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_idea_images_idea ON idea_images(idea_id);`);
+
+  // Upvotes on the public idea wall (one per device, same approach as poll_votes)
+  await run(`
+    CREATE TABLE IF NOT EXISTS idea_votes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      idea_id INTEGER NOT NULL,
+      voter_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      UNIQUE(idea_id, voter_hash),
+      FOREIGN KEY(idea_id) REFERENCES ideas(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS idea_categories (
+      slug TEXT PRIMARY KEY,
+      label TEXT NOT NULL,
+      emoji TEXT,
+      position INTEGER NOT NULL DEFAULT 0,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL
+    );
+  `);
+
+  // Seed the categories that used to be hard-coded (first start only: admins may delete them)
+  const hasCategories = await get(`SELECT COUNT(*) AS n FROM idea_categories`);
+  const categories = hasCategories?.n ? [] : [
+    ["vie-scolaire", "Vie scolaire", "🏫"],
+    ["cantine", "Cantine", "🍽️"],
+    ["ecologie", "Écologie", "🌱"],
+    ["clubs-evenements", "Clubs & événements", "🎉"],
+    ["materiel", "Matériel", "🛠️"],
+    ["autre", "Autre", "💬"]
+  ];
+  for (const [idx, [slug, label, emoji]] of categories.entries()) {
+    await run(
+      `INSERT OR IGNORE INTO idea_categories(slug, label, emoji, position, active, created_at) VALUES(?, ?, ?, ?, 1, ?)`,
+      [slug, label, emoji, idx * 10, new Date().toISOString()]
+    );
+  }
+  await reloadCategories();
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      display_name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL,
+      disabled INTEGER NOT NULL DEFAULT 0,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      last_login_at TEXT
+    );
+  `);
+
+  // Optional TOTP 2FA: the secret is stored first, totp_enabled flips once a code is confirmed
+  await addColumnIfMissing("users", "totp_secret", "TEXT");
+  await addColumnIfMissing("users", "totp_enabled", "INTEGER NOT NULL DEFAULT 0");
+  await addColumnIfMissing("users", "totp_last_step", "INTEGER");
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code_hash TEXT NOT NULL,
+      used_at TEXT,
+      created_at TEXT NOT NULL,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT,
+      ip_hash TEXT,
+      user_agent TEXT,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)`);
+  // Synchronizer CSRF token, one per session (sent back in X-CSRF-Token on mutations)
+  await addColumnIfMissing("sessions", "csrf_token", "TEXT");
+  await run(`UPDATE sessions SET csrf_token = lower(hex(randomblob(24))) WHERE csrf_token IS NULL`);
+  // Old rows are only kept for the "active sessions" screen
+  await run(`DELETE FROM sessions WHERE expires_at < ?`, [new Date(Date.now() - 30 * 86400 * 1000).toISOString()]);
+
+  // Every login attempt: lockouts are computed from it (survive restarts)
+  await run(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT NOT NULL,
+      user_id INTEGER,
+      success INTEGER NOT NULL,
+      reason TEXT,
+      ip_hash TEXT NOT NULL,
+      user_agent TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts(username, created_at)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts(ip_hash, created_at)`);
+  await run(`DELETE FROM login_attempts WHERE created_at < ?`, [new Date(Date.now() - 90 * 86400 * 1000).toISOString()]);
+
+  await run(`
+    CREATE TABLE IF NOT EXISTS login_alerts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      kind TEXT NOT NULL,
+      key TEXT NOT NULL,
+      failures INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      acknowledged_at TEXT,
+      acknowledged_by INTEGER
+    );
+  `);
+
+  // Append-only: the triggers reject any UPDATE / DELETE
+  await run(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER,
+      actor TEXT NOT NULL,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      before_json TEXT,
+      after_json TEXT,
+      ip_hash TEXT,
+      created_at TEXT NOT NULL
+    );
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_audit_target ON audit_log(target_type, target_id)`);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+  await run(`
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+  `);
+
+  // Bootstrap: the shared env password becomes the first president account
+  const hasUsers = await get(`SELECT COUNT(*) AS n FROM users`);
+  if (!hasUsers?.n && ADMIN_PASSWORD_HASH) {
+    const now = new Date().toISOString();
+    await run(
+      `INSERT INTO users(username, display_name, password_hash, role, created_at, updated_at) VALUES(?, ?, ?, 'president', ?, ?)`,
+      [ADMIN_USERNAME, ADMIN_USERNAME, ADMIN_PASSWORD_HASH, now, now]
+    );
+    console.log(`Compte admin "${ADMIN_USERNAME}" créé depuis ADMIN_PASSWORD_HASH`);
+  }
+
   // Seed info blocks inspired by the structure of the lycée site
   const defaults = [
     ["jpo", "Journées Portes Ouvertes (JPO) : informations à confirmer par l'établissement.", "https://lyceemauriac.fr/"],
@@ -193,482 +548,3391 @@ function cleanText(str, maxLen) {
   return cleaned;
 }
 
-function signAdminToken() {
-  return jwt.sign({ admin: true }, JWT_SECRET, { expiresIn: "8h" });
-}
+// Idea categories: idea_categories table, labels cached in memory (retired ones kept)
+let categoryCache = new Map();
 
-function setAuthCookie(res, token) {
-  const isProd = process.env.NODE_ENV === "production";
-  res.cookie(COOKIE_NAME, token, {
-    httpOnly: true,
-    sameSite: "lax",
-    secure: isProd, // set true in prod with HTTPS
-    maxAge: 8 * 60 * 60 * 1000
-  });
+async function reloadCategories() {
+  const rows = await all(`SELECT slug, label, emoji, position, active FROM idea_categories ORDER BY position ASC, label ASC`);
+  categoryCache = new Map(rows.map(r => [r.slug, r]));
 }
 
-function clearAuthCookie(res) {
-  res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: "lax" });
+function categoryLabel(slug) {
+  return categoryCache.get(slug)?.label || slug;
 }
 
-function requireAdmin(req, res, next) {
-  try {
-    const token = req.cookies[COOKIE_NAME];
-    if (!token) return res.status(401).json({ error: "Non authentifié" });
-    const payload = jwt.verify(token, JWT_SECRET);
-    if (!payload?.admin) return res.status(403).json({ error: "Accès refusé" });
-    req.admin = true;
-    next();
-  } catch {
-    return res.status(401).json({ error: "Session expirée" });
-  }
+function isActiveCategory(slug) {
+  return !!categoryCache.get(slug)?.active;
 }
 
+// Idea lifecycle: nouveau -> en étude -> acceptée / refusée / réalisée
+const IDEA_STATUSES = {
+  "nouveau": "Nouveau",
+  "en-etude": "En étude",
+  "acceptee": "Acceptée",
+  "refusee": "Refusée",
+  "realisee": "Réalisée"
+};
+const IDEA_TRANSITIONS = {
+  "nouveau": ["en-etude", "refusee"],
+  "en-etude": ["acceptee", "refusee", "realisee"],
+  "acceptee": ["realisee", "en-etude"],
+  "refusee": ["en-etude"],
+  "realisee": []
+};
 
-// ======================
-// Push helpers
-// ======================
-function canUsePushConfig() {
-  return Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+function ideaStatusLabel(status) {
+  return IDEA_STATUSES[status] || status;
 }
 
-async function initWebPushIfConfigured() {
-  if (!canUsePushConfig()) return null;
-  const webpush = await getWebPush();
-  if (!webpush) return null;
-  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
-  return webpush;
+// Receipt codes let a student look up an idea from another device (only the hash is stored)
+const RECEIPT_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+function makeReceiptCode() {
+  const bytes = crypto.randomBytes(8);
+  const chars = Array.from(bytes, b => RECEIPT_ALPHABET[b % RECEIPT_ALPHABET.length]).join("");
+  return `${chars.slice(0, 4)}-${chars.slice(4)}`;
 }
 
-async function sendPushToAll(payload) {
-  if (!canUsePushConfig()) return { sent: 0, failed: 0, disabled: true, reason: "missing_vapid" };
-  const webpush = await initWebPushIfConfigured();
-  if (!webpush) return { sent: 0, failed: 0, disabled: true, reason: "missing_webpush_module" };
+function normalizeReceiptCode(code) {
+  const raw = String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+  return raw.length === 8 ? `${raw.slice(0, 4)}-${raw.slice(4)}` : null;
+}
 
-  const subs = await all(`SELECT endpoint, subscription_json FROM push_subscriptions`);
-  let sent = 0;
-  let failed = 0;
+// Votes stay on their idea; support also counts ideas merged into it (once per device)
+function ideaVotesSql(alias) {
+  return `(SELECT COUNT(DISTINCT v.voter_hash) FROM idea_votes v JOIN ideas d ON d.id = v.idea_id
+           WHERE d.id = ${alias}.id OR d.duplicate_of = ${alias}.id)`;
+}
 
-  for (const s of subs) {
-    try {
-      const subscription = JSON.parse(s.subscription_json);
-      await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: 60 * 60 });
-      sent++;
-    } catch (e) {
-      failed++;
-      const status = e?.statusCode;
-      if (status === 404 || status === 410) {
-        try { await run(`DELETE FROM push_subscriptions WHERE endpoint = ?`, [s.endpoint]); } catch (_) {}
-      }
-    }
-  }
+// Ids of an idea's merge group: its canonical idea and every duplicate of it
+function ideaGroupSql(alias) {
+  return `(SELECT g.id FROM ideas g WHERE COALESCE(${alias}.duplicate_of, ${alias}.id) IN (g.id, g.duplicate_of))`;
+}
 
-  return { sent, failed, disabled: false };
+// includePrivate: only for the submitting device
+async function publicIdeaView(row, { includePrivate = false } = {}) {
+  const history = await all(
+    `SELECT to_status, comment, created_at FROM idea_status_history WHERE idea_id = ? ORDER BY id ASC`,
+    [row.id]
+  );
+  const replies = await all(
+    `SELECT body, visibility, created_at FROM idea_replies
+     WHERE idea_id = ? ${includePrivate ? "" : "AND visibility = 'public'"}
+     ORDER BY id ASC`,
+    [row.id]
+  );
+  // A merged idea follows the canonical one it was grouped with
+  const canonical = row.duplicate_of
+    ? await get(`SELECT status FROM ideas WHERE id = ?`, [row.duplicate_of])
+    : null;
+  return {
+    id: row.id,
+    text: row.text,
+    category: row.category,
+    urgency: row.urgency,
+    status: row.status,
+    status_label: row.moderation_status === "quarantined"
+      ? "En cours de vérification"
+      : (row.moderation_status === "rejected" ? "Non retenue (modération)" : ideaStatusLabel(row.status)),
+    created_at: row.created_at,
+    history: history.map(h => ({ status: h.to_status, label: ideaStatusLabel(h.to_status), comment: h.comment, created_at: h.created_at })),
+    replies,
+    merged_into: canonical ? { status: canonical.status, status_label: ideaStatusLabel(canonical.status) } : null
+  };
 }
 
 // ======================
-// App + security middleware
-
+// Idea moderation (local, no external service)
 // ======================
-await initDb();
+const DEFAULT_BLOCKED_WORDS = [
+  "abruti*", "batard*", "bouffon*", "con", "conne", "connard*", "connasse*", "cretin*", "debile*",
+  "encule*", "enfoire*", "fdp", "merde*", "niqu*", "ntm", "pd", "pute*", "salaud*", "salope*", "tg", "ta gueule"
+];
 
-const app = express();
-if (TRUST_PROXY) app.set("trust proxy", 1);
+function readWordList(file) {
+  if (!file) return [];
+  try {
+    return fs.readFileSync(file, "utf8")
+      .split(/\r?\n/)
+      .map(l => l.trim())
+      .filter(l => l && !l.startsWith("#"));
+  } catch (e) {
+    console.warn(`Liste de modération illisible (${file}) : ${e.message}`);
+    return [];
+  }
+}
 
-app.use(helmet({
-  contentSecurityPolicy: false // simplest for a self-contained PWA (fonts inline etc.)
-}));
+function foldText(str) {
+  return String(str || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
 
-app.use(express.json({ limit: "20kb" }));
-app.use(cookieParser());
+const BLOCKED_WORDS = [...DEFAULT_BLOCKED_WORDS, ...readWordList(MODERATION_WORDS_FILE)].map(foldText);
+const WATCHED_NAMES = new Set(readWordList(MODERATION_NAMES_FILE).map(foldText));
 
-// CORS (optional)
-app.use(cors({
-  origin: ORIGIN ? ORIGIN.split(",").map(s => s.trim()) : false,
-  credentials: true
-}));
+const EMAIL_RE = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+const PHONE_RE = /(?:\+33|0033|\b0)\s*[1-9](?:[\s.-]*\d{2}){4}\b/;
+const TITLE_NAME_RE = /\b(?:M\.|Mme|Mlle|Monsieur|Madame|Mademoiselle)\s+[A-ZÀ-Ý][\wÀ-ÿ-]+/;
+const FIRST_LAST_RE = /\b([A-ZÀ-Ý][a-zà-ÿ]+)\s+([A-ZÀ-Ý]{2,})\b/g; // "Prénom NOM"
+// Capitalised words that are not family names ("Le CDI", "Cours EPS"...)
+const SCHOOL_ACRONYMS = new Set([
+  "BAC", "BTS", "CA", "CDI", "CPE", "CVC", "CVL", "EDT", "EMC", "ENT", "EPS", "HG", "LV1", "LV2",
+  "NSI", "PC", "PDF", "SES", "SNT", "ST2S", "STMG", "SVT", "UNSS", "USB", "WIFI"
+]);
 
-// Rate limits
-const publicLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  limit: 60,
-  standardHeaders: true,
-  legacyHeaders: false
-});
-const loginLimiter = rateLimit({
-  windowMs: 10 * 60 * 1000,
-  limit: 20,
-  standardHeaders: true,
-  legacyHeaders: false
-});
+function looksLikeFirstLast(text) {
+  for (const [, first, last] of String(text).matchAll(FIRST_LAST_RE)) {
+    if (SCHOOL_ACRONYMS.has(last) || FR_STOPWORDS.has(foldText(first))) continue;
+    return true;
+  }
+  return false;
+}
+const REPEATED_CHARS_RE = /(.)\1{5,}/u;
+const URL_RE = /(?:https?:\/\/|www\.)\S+/i;
 
-app.use("/api/public", publicLimiter);
-app.use("/api/auth/login", loginLimiter);
+// Returns the list of reasons to quarantine a text (empty = clean)
+function moderateIdeaText(text) {
+  const reasons = [];
+  const folded = foldText(text);
+  const tokens = folded.replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+  const joined = ` ${tokens.join(" ")} `;
 
-// Simple anti-automation: require a device id header
-app.use("/api", (req, res, next) => {
-  const deviceId = req.get("X-Device-Id") || "";
-  if (!deviceId || deviceId.length < 8 || deviceId.length > 200) {
-    return res.status(400).json({ error: "En-tête X-Device-Id manquant" });
+  const insult = BLOCKED_WORDS.some(w => {
+    if (w.includes(" ")) return joined.includes(` ${w} `);
+    if (w.endsWith("*")) return tokens.some(t => t.startsWith(w.slice(0, -1)));
+    return tokens.includes(w);
+  });
+  if (insult) reasons.push("langage");
+
+  if (EMAIL_RE.test(text)) reasons.push("email");
+  if (PHONE_RE.test(text)) reasons.push("telephone");
+  if (TITLE_NAME_RE.test(text) || looksLikeFirstLast(text) || tokens.some(t => WATCHED_NAMES.has(t))) {
+    reasons.push("nom");
   }
-  req.deviceHash = sha256(deviceId);
-  next();
-});
+  if (REPEATED_CHARS_RE.test(folded.replace(/\s+/g, ""))) reasons.push("repetition");
 
+  const wordCounts = new Map();
+  for (const t of tokens) wordCounts.set(t, (wordCounts.get(t) || 0) + 1);
+  const maxRepeat = Math.max(0, ...wordCounts.values());
+  if (URL_RE.test(text) || (tokens.length >= 6 && maxRepeat / tokens.length > 0.5)) reasons.push("spam");
 
-// Track daily connections (best-effort, one entry per device/day on GET /api/public/*)
-app.use("/api/public", async (req, _res, next) => {
-  if (req.method !== "GET") return next();
-  const day = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-  try {
-    await run(
-      `INSERT INTO daily_connections(day, device_hash, last_seen)
-       VALUES(?, ?, ?)
-       ON CONFLICT(day, device_hash) DO UPDATE SET last_seen=excluded.last_seen`,
-      [day, req.deviceHash, nowIso()]
-    );
-  } catch (_) {}
-  next();
-});
+  return reasons;
+}
+
+// Ideas that reached the admin inbox (not waiting in / rejected by moderation)
+const VISIBLE_IDEA_SQL = "moderation_status IN ('ok', 'approved')";
+
+const MODERATION_REASON_LABELS = {
+  langage: "Langage inapproprié",
+  email: "Adresse email",
+  telephone: "Numéro de téléphone",
+  nom: "Nom de personne",
+  repetition: "Caractères répétés",
+  spam: "Spam / lien"
+};
 
 // ======================
-// Public API
+// Idea similarity (local, no external service)
 // ======================
-app.get("/api/public/stats", async (_req, res) => {
-  const ideas = await get(`SELECT COUNT(*) AS n FROM ideas`);
-  const votes = await get(`SELECT COUNT(*) AS n FROM poll_votes`);
-  res.json({ ideas: ideas?.n ?? 0, votes: votes?.n ?? 0 });
-});
+const FR_STOPWORDS = new Set([
+  "a", "au", "aux", "avec", "ce", "ces", "dans", "de", "des", "du", "elle", "en", "et", "il", "ils",
+  "je", "la", "le", "les", "leur", "ma", "mais", "me", "mes", "mon", "ne", "nos", "notre", "nous",
+  "on", "ou", "par", "pas", "plus", "pour", "qu", "que", "qui", "sa", "se", "ses", "son", "sur",
+  "ta", "te", "tes", "ton", "tu", "un", "une", "vos", "votre", "vous", "est", "sont", "faire",
+  "faut", "serait", "bien", "tres", "svp", "stp", "merci", "mettre", "avoir", "peut", "pouvoir"
+]);
 
-app.get("/api/public/news", async (_req, res) => {
-  const rows = await all(`SELECT id, title, description, created_at FROM news ORDER BY id DESC LIMIT 30`);
-  res.json(rows);
-});
+function normalizeIdeaTokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter(t => t.length > 1 && !FR_STOPWORDS.has(t))
+    .map(t => (t.length > 3 ? t.replace(/[sx]$/, "") : t));
+}
 
-app.post(
-  "/api/public/ideas",
-  body("text").isString().isLength({ min: 10, max: 500 }),
-  body("category").isIn(["vie-scolaire", "cantine", "ecologie", "clubs-evenements", "materiel", "autre"]),
-  body("urgency").isIn(["basse", "moyenne", "haute"]),
-  body("hp").optional().isString().isLength({ max: 5 }), // honeypot must stay empty
-  async (req, res) => {
-    const errors = validationErrors(req);
-    if (errors) return res.status(400).json({ error: errors });
+function ideaTrigrams(text) {
+  const grams = new Set();
+  for (const token of normalizeIdeaTokens(text)) {
+    const padded = ` ${token} `;
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+// Dice coefficient on trigram sets
+function trigramSimilarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let common = 0;
+  for (const g of a) if (b.has(g)) common++;
+  return (2 * common) / (a.size + b.size);
+}
+
+// Single-linkage clustering: ideas above the threshold end up in the same group
+function clusterIdeas(ideas, threshold = IDEA_SIMILARITY_THRESHOLD) {
+  const grams = ideas.map(i => ideaTrigrams(i.text));
+  const parent = ideas.map((_, idx) => idx);
+  const find = (x) => (parent[x] === x ? x : (parent[x] = find(parent[x])));
+  const scores = new Map();
+
+  for (let i = 0; i < ideas.length; i++) {
+    for (let j = i + 1; j < ideas.length; j++) {
+      const score = trigramSimilarity(grams[i], grams[j]);
+      if (score < threshold) continue;
+      parent[find(j)] = find(i);
+      scores.set(i, Math.max(scores.get(i) || 0, score));
+      scores.set(j, Math.max(scores.get(j) || 0, score));
+    }
+  }
+
+  const groups = new Map();
+  ideas.forEach((idea, idx) => {
+    const root = find(idx);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ ...idea, similarity: Math.round((scores.get(idx) || 0) * 100) / 100 });
+  });
+  return Array.from(groups.values()).filter(g => g.length > 1);
+}
+
+// Admin roles: president can do everything, the others get a subset
+const ADMIN_ROLES = {
+  president: { label: "Président(e)", permissions: ["news", "info", "push", "polls", "ideas", "dashboard", "users"] },
+  editor: { label: "Rédaction", permissions: ["news", "info", "push", "polls", "dashboard"] },
+  moderator: { label: "Modération", permissions: ["ideas", "dashboard"] },
+  viewer: { label: "Lecture", permissions: ["dashboard"] }
+};
+
+function publicUser(u) {
+  return {
+    id: u.id,
+    username: u.username,
+    display_name: u.display_name,
+    role: u.role,
+    role_label: ADMIN_ROLES[u.role]?.label || u.role,
+    disabled: !!u.disabled,
+    totp_enabled: !!u.totp_enabled,
+    created_at: u.created_at,
+    last_login_at: u.last_login_at || null
+  };
+}
+
+// Token lives for the idle window; requireAdmin re-issues it while in use
+function signAdminToken(user, sessionId) {
+  return jwt.sign({ uid: user.id, sid: sessionId }, JWT_SECRET, { expiresIn: `${SESSION_IDLE_MIN}m` });
+}
+
+// Short-lived token between the password step and the 2FA step (not a session: no uid claim)
+function signTotpChallenge(user) {
+  return jwt.sign({ totp_uid: user.id }, JWT_SECRET, { expiresIn: "5m" });
+}
+
+// ======================
+// Login attempts + exponential lockout
+// ======================
+// Failures since the last success (24 h max); attempts refused during a lock don't count
+async function loginLockState(column, value, threshold) {
+  const since = new Date(Date.now() - 24 * 3600 * 1000).toISOString();
+  const row = await get(
+    `SELECT COUNT(*) AS n, MAX(created_at) AS last FROM login_attempts
+     WHERE ${column} = ? AND success = 0 AND reason != 'locked' AND created_at > ?
+       AND created_at > COALESCE((SELECT MAX(created_at) FROM login_attempts WHERE ${column} = ? AND success = 1), '')`,
+    [value, since, value]
+  );
+  const failures = row?.n ?? 0;
+  if (failures < threshold) return { failures, retryAfter: 0 };
+
+  const lockSec = Math.min(LOGIN_LOCK_BASE_SEC * 2 ** (failures - threshold), LOGIN_LOCK_MAX_SEC);
+  const until = Date.parse(row.last) + lockSec * 1000;
+  return { failures, retryAfter: Math.max(0, Math.ceil((until - Date.now()) / 1000)) };
+}
+
+// Seconds to wait before the next attempt (0 = allowed)
+async function loginRetryAfter(username, ip) {
+  const [byAccount, byIp] = await Promise.all([
+    loginLockState("username", username, LOGIN_LOCK_THRESHOLD),
+    loginLockState("ip_hash", ip, LOGIN_IP_LOCK_THRESHOLD)
+  ]);
+  return Math.max(byAccount.retryAfter, byIp.retryAfter);
+}
+
+async function recordLoginAttempt(req, { username, user = null, success, reason = null }) {
+  const ip = ipHash(req);
+  await run(
+    `INSERT INTO login_attempts(username, user_id, success, reason, ip_hash, user_agent, created_at) VALUES(?, ?, ?, ?, ?, ?, ?)`,
+    [username, user?.id ?? null, success ? 1 : 0, reason, ip, String(req.get("user-agent") || "").slice(0, 200), nowIso()]
+  );
+  if (success || reason === "locked") return;
+
+  // Raise one dashboard alert when a streak of failures reaches the lock threshold
+  const checks = [
+    ["account", username, await loginLockState("username", username, LOGIN_LOCK_THRESHOLD), LOGIN_LOCK_THRESHOLD],
+    ["ip", ip, await loginLockState("ip_hash", ip, LOGIN_IP_LOCK_THRESHOLD), LOGIN_IP_LOCK_THRESHOLD]
+  ];
+  for (const [kind, key, state, threshold] of checks) {
+    if (state.failures !== threshold) continue;
+    await run(
+      `INSERT INTO login_alerts(kind, key, failures, created_at) VALUES(?, ?, ?, ?)`,
+      [kind, key, state.failures, nowIso()]
+    );
+    console.warn(`Connexion admin : ${threshold} échecs (${kind} ${key}), verrouillage`);
+  }
+}
+
+function sendLocked(res, retryAfter) {
+  res.setHeader("Retry-After", String(retryAfter));
+  const minutes = Math.ceil(retryAfter / 60);
+  return res.status(429).json({ error: `Trop d'essais : réessaie dans ${minutes} min`, retry_after: retryAfter });
+}
+
+// ======================
+// TOTP (RFC 6238, HMAC-SHA1, 30 s, 6 digits) + recovery codes
+// ======================
+const BASE32 = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_STEP_SEC = 30;
+const TOTP_WINDOW = 1; // accept one step of clock drift each way
+const RECOVERY_CODES_COUNT = 10;
+
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    const idx = BASE32.indexOf(ch);
+    if (idx < 0) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(out);
+}
+
+function hotp(secret, counter) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(msg).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const code = (digest.readUInt32BE(offset) & 0x7fffffff) % 1_000_000;
+  return String(code).padStart(6, "0");
+}
+
+// Returns the matching time step, or null; lastStep blocks replaying a code already used
+function verifyTotp(secret, code, lastStep = null) {
+  const clean = String(code || "").replace(/\s/g, "");
+  if (!secret || !/^\d{6}$/.test(clean)) return null;
+  const now = Math.floor(Date.now() / 1000 / TOTP_STEP_SEC);
+  for (let delta = -TOTP_WINDOW; delta <= TOTP_WINDOW; delta++) {
+    const step = now + delta;
+    if (lastStep !== null && step <= lastStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) return step;
+  }
+  return null;
+}
+
+function totpUri(user, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${user.username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SEC}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// Replaces all recovery codes of a user; the clear codes are only returned here
+async function issueRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODES_COUNT }, () => {
+    const raw = base32Encode(crypto.randomBytes(5)); // 8 chars
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+  await run(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [userId]);
+  const now = nowIso();
+  for (const code of codes) {
+    await run(
+      `INSERT INTO user_recovery_codes(user_id, code_hash, created_at) VALUES(?, ?, ?)`,
+      [userId, sha256(normalizeRecoveryCode(code)), now]
+    );
+  }
+  return codes;
+}
+
+// Accepts a TOTP code or an unused recovery code (which is then burnt)
+async function checkSecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const step = verifyTotp(user.totp_secret, code, user.totp_last_step ?? null);
+    if (step === null) return null;
+    await run(`UPDATE users SET totp_last_step = ? WHERE id = ?`, [step, user.id]);
+    return "totp";
+  }
+  if (recoveryCode) {
+    const r = await run(
+      `UPDATE user_recovery_codes SET used_at = ? WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [nowIso(), user.id, sha256(normalizeRecoveryCode(recoveryCode))]
+    );
+    return r.changes ? "recovery" : null;
+  }
+  return null;
+}
+
+function setAuthCookie(res, token) {
+  const isProd = process.env.NODE_ENV === "production";
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: "lax",
+    secure: isProd, // set true in prod with HTTPS
+    maxAge: SESSION_IDLE_MIN * 60 * 1000
+  });
+}
+
+function clearAuthCookie(res) {
+  res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: "lax" });
+}
+
+// Returns { id, csrfToken }
+async function createSession(req, user) {
+  const id = crypto.randomBytes(24).toString("base64url");
+  const csrfToken = crypto.randomBytes(24).toString("base64url");
+  const now = new Date();
+  await run(
+    `INSERT INTO sessions(id, user_id, csrf_token, created_at, last_seen_at, expires_at, ip_hash, user_agent) VALUES(?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      id,
+      user.id,
+      csrfToken,
+      now.toISOString(),
+      now.toISOString(),
+      new Date(now.getTime() + SESSION_MAX_HOURS * 3600 * 1000).toISOString(),
+      ipHash(req),
+      String(req.get("user-agent") || "").slice(0, 200)
+    ]
+  );
+  return { id, csrfToken };
+}
+
+const CSRF_SAFE_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+function csrfTokenMatches(req, session) {
+  const sent = Buffer.from(String(req.get("X-CSRF-Token") || ""));
+  const expected = Buffer.from(String(session.csrf_token || ""));
+  return expected.length > 0 && sent.length === expected.length && crypto.timingSafeEqual(sent, expected);
+}
+
+// Revokes every open session of a user (optionally keeping one, e.g. the current one)
+async function revokeUserSessions(userId, exceptId = null) {
+  await run(
+    `UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id != ?`,
+    [nowIso(), userId, exceptId ?? ""]
+  );
+}
+
+function sessionIsLive(session, now = Date.now()) {
+  return !session.revoked_at
+    && Date.parse(session.expires_at) > now
+    && Date.parse(session.last_seen_at) + SESSION_IDLE_MIN * 60 * 1000 > now;
+}
+
+// Active account + live session, re-read on each request (revocation applies at once)
+async function requireAdmin(req, res, next) {
+  const token = req.cookies[COOKIE_NAME];
+  if (!token) return res.status(401).json({ error: "Non authentifié" });
+
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch {
+    return res.status(401).json({ error: "Session expirée" });
+  }
+  if (!payload?.uid || !payload?.sid) return res.status(401).json({ error: "Session expirée" });
+
+  try {
+    const session = await get(`SELECT * FROM sessions WHERE id = ? AND user_id = ?`, [payload.sid, payload.uid]);
+    if (!session || !sessionIsLive(session)) {
+      clearAuthCookie(res);
+      return res.status(401).json({ error: "Session expirée" });
+    }
+
+    // Every admin mutation must echo the session's CSRF token (cookies alone are not enough)
+    if (!CSRF_SAFE_METHODS.has(req.method) && !csrfTokenMatches(req, session)) {
+      return res.status(403).json({ error: "Jeton CSRF manquant ou invalide", code: "csrf" });
+    }
+
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [payload.uid]);
+    if (!user || user.disabled || !ADMIN_ROLES[user.role]) return res.status(403).json({ error: "Accès refusé" });
+
+    // Sliding renewal (throttled so a page load doesn't write on every request)
+    const nowSec = Math.floor(Date.now() / 1000);
+    if (nowSec - payload.iat >= SESSION_RENEW_SEC) {
+      await run(`UPDATE sessions SET last_seen_at = ? WHERE id = ?`, [nowIso(), session.id]);
+      setAuthCookie(res, signAdminToken(user, session.id));
+    }
+
+    req.admin = true;
+    req.user = user;
+    req.session = session;
+    req.permissions = ADMIN_ROLES[user.role].permissions;
+  } catch (e) {
+    return next(e);
+  }
+  // Outside the try: an error thrown by a later handler must not call next() twice
+  next();
+}
+
+// requireAdmin + role check, e.g. requirePermission("news")
+function requirePermission(permission) {
+  return (req, res, next) => requireAdmin(req, res, (err) => {
+    if (err) return next(err);
+    if (!req.permissions.includes(permission)) return res.status(403).json({ error: "Droits insuffisants" });
+    next();
+  });
+}
+
+// ======================
+// Audit log
+// ======================
+const AUDIT_ACTIONS = {
+  "news.create": "Actualité publiée",
+  "news.update": "Actualité modifiée",
+  "news.delete": "Actualité supprimée",
+  "news.file.add": "Fichier ajouté à une actualité",
+  "news.file.delete": "Fichier retiré d'une actualité",
+  "poll.create": "Sondage créé",
+  "poll.close": "Sondage clos",
+  "poll.reopen": "Sondage rouvert",
+  "info.update": "Bloc info modifié",
+  "push.send": "Notification envoyée",
+  "idea.status": "Statut d'idée modifié",
+  "idea.publish": "Publication sur le mur",
+  "idea.merge": "Idées fusionnées",
+  "idea.unmerge": "Fusion annulée",
+  "idea.reply.create": "Réponse à une idée",
+  "idea.reply.delete": "Réponse supprimée",
+  "moderation.decide": "Décision de modération",
+  "category.create": "Catégorie créée",
+  "category.update": "Catégorie modifiée",
+  "category.delete": "Catégorie supprimée",
+  "user.create": "Compte créé",
+  "user.update": "Compte modifié",
+  "user.password": "Mot de passe changé",
+  "user.totp.setup": "2FA : nouveau secret généré",
+  "user.totp.enable": "2FA activée",
+  "user.totp.disable": "2FA désactivée",
+  "user.totp.recovery": "Codes de secours régénérés",
+  "session.revoke": "Session révoquée",
+  "security.ack": "Alerte de connexion vue"
+};
+
+function ipHash(req) {
+  return crypto.createHmac("sha256", IP_HASH_SECRET).update(String(req.ip || "")).digest("hex").slice(0, 16);
+}
+
+// One row per admin mutation; never let a logging failure undo the mutation itself
+async function audit(req, action, { targetType = null, targetId = null, before = null, after = null } = {}) {
+  try {
+    await run(
+      `INSERT INTO audit_log(user_id, actor, action, target_type, target_id, before_json, after_json, ip_hash, created_at)
+       VALUES(?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user?.id ?? null,
+        req.user?.username || "?",
+        action,
+        targetType,
+        targetId === null ? null : String(targetId),
+        before === null ? null : JSON.stringify(before),
+        after === null ? null : JSON.stringify(after),
+        ipHash(req),
+        nowIso()
+      ]
+    );
+  } catch (e) {
+    console.error("audit:", e.message);
+  }
+}
+
+
+// ======================
+// Image uploads
+// ======================
+// Detect the real type from magic bytes (client-provided MIME types are ignored)
+function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "image/jpeg";
+  if (buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return "image/png";
+  if (buf.toString("ascii", 0, 4) === "RIFF" && buf.toString("ascii", 8, 12) === "WEBP") return "image/webp";
+  if (buf.toString("ascii", 0, 6) === "GIF87a" || buf.toString("ascii", 0, 6) === "GIF89a") return "image/gif";
+  return null;
+}
+
+// Multipart parsing kept in memory: files are re-encoded before touching the disk
+function uploadFiles(field, maxCount, maxBytes) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { files: maxCount, fileSize: maxBytes, fields: 20 }
+  }).array(field, maxCount);
+
+  return (req, res, next) => {
+    upload(req, res, (err) => {
+      if (!err) return next();
+      if (err instanceof multer.MulterError) {
+        const status = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        const error = err.code === "LIMIT_FILE_SIZE"
+          ? `Fichier trop volumineux (max ${Math.round(maxBytes / 1024 / 1024)} Mo)`
+          : (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE" ? `${maxCount} fichiers maximum` : "Envoi de fichier invalide");
+        return res.status(status).json({ error });
+      }
+      next(err);
+    });
+  };
+}
+
+// Re-encode to JPEG: applies the EXIF orientation, then drops all metadata (EXIF / GPS / XMP)
+async function processImage(buffer, { maxSize = 1600, thumbSize = 320 } = {}) {
+  const sharp = await getSharp();
+  if (!sharp) return { error: "unavailable" };
+  if (!sniffImageType(buffer)) return { error: "type" };
+
+  try {
+    const base = sharp(buffer, { failOn: "error", limitInputPixels: 40_000_000 }).rotate();
+    const { data, info } = await base.clone()
+      .resize({ width: maxSize, height: maxSize, fit: "inside", withoutEnlargement: true })
+      .jpeg({ quality: 82, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    const thumb = await base.clone()
+      .resize({ width: thumbSize, height: thumbSize, fit: "cover" })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return { data, thumb, width: info.width, height: info.height };
+  } catch {
+    return { error: "corrupt" };
+  }
+}
+
+const IMAGE_ERRORS = {
+  unavailable: [501, "Traitement d'images non disponible (module sharp manquant)"],
+  type: [415, "Format d'image non supporté (JPEG, PNG, WebP ou GIF)"],
+  corrupt: [400, "Image illisible"]
+};
+
+async function saveUpload(subdir, data, ext) {
+  const dir = path.join(UPLOAD_DIR, subdir);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const name = `${crypto.randomBytes(16).toString("hex")}.${ext}`;
+  await fs.promises.writeFile(path.join(dir, name), data, { flag: "wx" });
+  return name;
+}
+
+// Best-effort: a missing file must not block deleting its row
+async function removeUpload(subdir, name) {
+  if (!name) return;
+  try {
+    await fs.promises.unlink(path.join(UPLOAD_DIR, subdir, path.basename(name)));
+  } catch (_) {}
+}
+
+function isPdf(buf) {
+  return !!buf && buf.length > 5 && buf.toString("ascii", 0, 5) === "%PDF-";
+}
+
+// Multer hands over the raw header bytes as latin1; keep a printable name for downloads
+function uploadName(file, ext = null) {
+  let name = Buffer.from(String(file.originalname || ""), "latin1").toString("utf8");
+  name = path.basename(name).replace(/[\u0000-\u001f\u007f"\\/]/g, "").trim().slice(0, 120) || "fichier";
+  if (ext) name = name.replace(/\.[^.]*$/, "") + `.${ext}`;
+  return name;
+}
+
+// ======================
+// Export helpers (CSV / XLSX, no external dependency)
+// ======================
+// Cells starting with = + - @ would be run as formulas by spreadsheet apps
+function safeCell(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return value;
+  const str = String(value);
+  return /^[=+\-@\t\r]/.test(str) ? `'${str}` : str;
+}
+
+// ";" separator + UTF-8 BOM: opens as columns in a French Excel
+function toCsv(rows) {
+  const line = (cells) => cells.map(c => {
+    const v = String(safeCell(c));
+    return /[;"\r\n]/.test(v) ? `"${v.replaceAll('"', '""')}"` : v;
+  }).join(";");
+  return "\uFEFF" + rows.map(line).join("\r\n") + "\r\n";
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Minimal ZIP writer (deflate, UTF-8 names)
+function zipFiles(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBuf = Buffer.from(name, "utf8");
+    const raw = Buffer.isBuffer(data) ? data : Buffer.from(data, "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(0, 10);
+    local.writeUInt16LE(0x21, 12); // 1980-01-01
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(0, 12);
+    central.writeUInt16LE(0x21, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, packed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + packed.length;
+  }
+
+  const centralBuf = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralBuf.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralBuf, end]);
+}
+
+function xmlEscape(str) {
+  return String(str)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll("\"", "&quot;");
+}
+
+function xlsxColumn(idx) {
+  let name = "";
+  for (let n = idx + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+// sheets: [{ name, rows: [[cell, ...], ...] }] — first row is rendered bold
+function toXlsx(sheets) {
+  const sheetXml = (rows) => {
+    const body = rows.map((cells, r) => `<row r="${r + 1}">${cells.map((cell, c) => {
+      const ref = `${xlsxColumn(c)}${r + 1}`;
+      const style = r === 0 ? ` s="1"` : "";
+      const v = safeCell(cell);
+      if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"${style}><v>${v}</v></c>`;
+      return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+    }).join("")}</row>`).join("");
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+  };
+  const names = sheets.map((sh, i) => (String(sh.name).replace(/[\[\]:*?/\\]/g, " ").slice(0, 31) || `Feuille ${i + 1}`));
+
+  return zipFiles([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("\n")}
+</Types>`
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>${names.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join("")}</sheets>
+</workbook>`
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join("\n")}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`
+    },
+    {
+      name: "xl/styles.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`
+    },
+    ...sheets.map((sh, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(sh.rows) }))
+  ]);
+}
+
+// Sends sheets as CSV (sheets separated by an empty line) or XLSX
+function sendExport(res, format, fileBase, sheets) {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Cache-Control", "no-store");
+  if (format === "xlsx") {
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileBase}-${stamp}.xlsx"`);
+    return res.send(toXlsx(sheets));
+  }
+  const rows = sheets.flatMap((sh, i) => (i === 0 ? sh.rows : [[], [sh.name], ...sh.rows]));
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileBase}-${stamp}.csv"`);
+  res.send(toCsv(rows));
+}
+
+// ======================
+// Push helpers
+// ======================
+function canUsePushConfig() {
+  return Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+}
+
+async function initWebPushIfConfigured() {
+  if (!canUsePushConfig()) return null;
+  const webpush = await getWebPush();
+  if (!webpush) return null;
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  return webpush;
+}
+
+// deviceHash: narrow the broadcast to the subscriptions of a single device
+async function sendPushToAll(payload, { deviceHash = null } = {}) {
+  if (!canUsePushConfig()) return { sent: 0, failed: 0, disabled: true, reason: "missing_vapid" };
+  const webpush = await initWebPushIfConfigured();
+  if (!webpush) return { sent: 0, failed: 0, disabled: true, reason: "missing_webpush_module" };
+
+  const subs = deviceHash
+    ? await all(`SELECT endpoint, subscription_json FROM push_subscriptions WHERE device_hash = ?`, [deviceHash])
+    : await all(`SELECT endpoint, subscription_json FROM push_subscriptions`);
+  let sent = 0;
+  let failed = 0;
+
+  for (const s of subs) {
+    try {
+      const subscription = JSON.parse(s.subscription_json);
+      await webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: 60 * 60 });
+      sent++;
+    } catch (e) {
+      failed++;
+      const status = e?.statusCode;
+      if (status === 404 || status === 410) {
+        try { await run(`DELETE FROM push_subscriptions WHERE endpoint = ?`, [s.endpoint]); } catch (_) {}
+      }
+    }
+  }
+
+  return { sent, failed, disabled: false };
+}
+
+// ======================
+// News helpers
+// ======================
+// Visible to the public: already published and not expired (two `now` params)
+const NEWS_LIVE_SQL = `COALESCE(publish_at, created_at) <= ? AND (expires_at IS NULL OR expires_at > ?)`;
+const NEWS_DATE_SQL = `COALESCE(publish_at, created_at)`;
+const NEWS_MONTH_SQL = `strftime('%Y-%m', COALESCE(publish_at, created_at), 'localtime')`;
+
+// Any ISO 8601 date (datetime-local has no offset), stored in UTC like nowIso()
+function toIsoOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+// Markdown subset (bold, italic, links, lists, headings) on cleanText() output, then sanitized
+const NEWS_HTML_OPTIONS = {
+  allowedTags: ["p", "br", "strong", "em", "ul", "ol", "li", "a", "h3", "h4", "h5"],
+  allowedAttributes: { a: ["href", "target", "rel"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowProtocolRelative: false,
+  transformTags: {
+    // Only http(s) and mailto links; anything else stays plain text
+    a: (tagName, attribs) => {
+      const href = attribs.href || "";
+      if (/^https?:\/\//i.test(href)) return { tagName, attribs: { href, target: "_blank", rel: "noopener noreferrer" } };
+      if (/^mailto:/i.test(href)) return { tagName, attribs: { href } };
+      return { tagName: "span", attribs: {} };
+    }
+  }
+};
+
+function markdownInline(text) {
+  const links = [];
+  // Links first, so that * and _ inside URLs are left alone
+  let out = text.replace(/\[([^\]\n]{1,200})\]\(((?:https?:\/\/|mailto:)[^\s()]{0,500})\)/g, (_m, label, url) => {
+    links.push(`<a href="${url.replaceAll('"', "&quot;")}">${markdownEmphasis(label)}</a>`);
+    return `\u0000${links.length - 1}\u0000`;
+  });
+  out = markdownEmphasis(out);
+  return out.replace(/\u0000(\d+)\u0000/g, (_m, i) => links[Number(i)]);
+}
+
+function markdownEmphasis(text) {
+  return text
+    .replace(/\*\*(?=\S)([^*\n]+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/__(?=\S)([^_\n]+?)__/g, "<strong>$1</strong>")
+    .replace(/\*(?=\S)([^*\n]+?)\*/g, "<em>$1</em>")
+    .replace(/(^|[^\w])_(?=\S)([^_\n]+?)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+function renderNewsMarkdown(src) {
+  const blocks = [];
+  let paragraph = [];
+  let list = null; // { tag, items }
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(markdownInline).join("<br>")}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.tag}>${list.items.map(i => `<li>${markdownInline(i)}</li>`).join("")}</${list.tag}>`);
+    list = null;
+  };
+
+  for (const line of String(src || "").split(/\r?\n/)) {
+    const heading = line.match(/^\s*(#{1,3})\s+(.+)$/);
+    const bullet = line.match(/^\s*[-*+]\s+(.+)$/);
+    const numbered = line.match(/^\s*\d{1,3}[.)]\s+(.+)$/);
+    if (!line.trim()) {
+      flushParagraph();
+      flushList();
+    } else if (heading) {
+      flushParagraph();
+      flushList();
+      const level = heading[1].length + 2; // # -> h3: the card title stays the main heading
+      blocks.push(`<h${level}>${markdownInline(heading[2].trim())}</h${level}>`);
+    } else if (bullet || numbered) {
+      flushParagraph();
+      const tag = bullet ? "ul" : "ol";
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push((bullet || numbered)[1].trim());
+    } else {
+      flushList();
+      paragraph.push(line.trim());
+    }
+  }
+  flushParagraph();
+  flushList();
+  return sanitizeHtml(blocks.join(""), NEWS_HTML_OPTIONS);
+}
+
+function newsStatus(n, now = nowIso()) {
+  if (n.expires_at && n.expires_at <= now) return "expired";
+  if (n.publish_at && n.publish_at > now) return "scheduled";
+  return "published";
+}
+
+// Cover + attachments of news rows (urlBase: public or admin uploads path)
+async function withNewsFiles(rows, urlBase = "/uploads/news") {
+  const ids = rows.map(r => r.id);
+  const files = ids.length ? await all(
+    `SELECT id, news_id, kind, thumb_name, original_name, mime, width, height, size
+     FROM news_files WHERE news_id IN (${ids.map(() => "?").join(",")}) ORDER BY id ASC`,
+    ids
+  ) : [];
+  const view = f => ({
+    id: f.id,
+    name: f.original_name,
+    mime: f.mime,
+    size: f.size,
+    width: f.width,
+    height: f.height,
+    url: `${urlBase}/${f.id}`,
+    thumb_url: f.thumb_name ? `${urlBase}/${f.id}?thumb=1` : null
+  });
+  return rows.map(r => {
+    const own = files.filter(f => f.news_id === r.id);
+    const cover = own.find(f => f.kind === "cover");
+    return { ...r, cover: cover ? view(cover) : null, attachments: own.filter(f => f.kind === "attachment").map(view) };
+  });
+}
+
+const NEWS_REACTIONS = { like: "👍", love: "❤️", party: "🎉", wow: "😮", sad: "😢" };
+
+// Reaction counts + the reactions of the calling device
+async function withNewsReactions(rows, deviceHash) {
+  const ids = rows.map(r => r.id);
+  const marks = ids.map(() => "?").join(",");
+  const counts = ids.length ? await all(
+    `SELECT news_id, reaction, COUNT(*) AS n FROM news_reactions WHERE news_id IN (${marks}) GROUP BY news_id, reaction`,
+    ids
+  ) : [];
+  const mine = ids.length && deviceHash ? await all(
+    `SELECT news_id, reaction FROM news_reactions WHERE news_id IN (${marks}) AND voter_hash = ?`,
+    [...ids, deviceHash]
+  ) : [];
+  return rows.map(r => ({
+    ...r,
+    reactions: Object.entries(NEWS_REACTIONS).map(([key, emoji]) => ({
+      key,
+      emoji,
+      count: counts.find(c => c.news_id === r.id && c.reaction === key)?.n ?? 0,
+      mine: mine.some(m => m.news_id === r.id && m.reaction === key)
+    }))
+  }));
+}
+
+async function deleteNewsFile(file) {
+  await run(`DELETE FROM news_files WHERE id = ?`, [file.id]);
+  await removeUpload("news", file.file_name);
+  await removeUpload("news", file.thumb_name);
+}
+
+async function pushNews(n) {
+  // Claim the row first so two overlapping runs never push the same item twice
+  const r = await run(`UPDATE news SET pushed_at = ? WHERE id = ? AND pushed_at IS NULL`, [nowIso(), n.id]);
+  if (!r.changes || !canUsePushConfig()) return;
+  await sendPushToAll({
+    title: "📰 Nouvelle actualité",
+    body: n.title,
+    url: `/#actualites/${n.id}`,
+    tag: "news",
+    ts: nowIso()
+  });
+}
+
+// The auto-push goes out when a news item actually becomes visible, not when it is written
+async function publishDueNews() {
+  const now = nowIso();
+  const due = await all(
+    `SELECT id, title FROM news WHERE pushed_at IS NULL AND ${NEWS_LIVE_SQL} ORDER BY COALESCE(publish_at, created_at) ASC`,
+    [now, now]
+  );
+  for (const n of due) {
+    try {
+      await pushNews(n);
+    } catch (e) {
+      console.error("News push failed", n.id, e);
+    }
+  }
+}
+
+// ======================
+// Poll helpers
+// ======================
+// Open for votes right now (two `now` params)
+const POLL_OPEN_SQL = `active = 1 AND COALESCE(opens_at, created_at) <= ? AND (closes_at IS NULL OR closes_at > ?)`;
+
+function pollStatus(p, now = nowIso()) {
+  if (!p.active || (p.closes_at && p.closes_at <= now)) return "closed";
+  if (p.opens_at && p.opens_at > now) return "scheduled";
+  return "open";
+}
+
+// When a poll stopped taking votes (manual close or closes_at), for "recently closed" lists
+function pollClosedAt(p) {
+  if (p.closed_at) return p.closed_at;
+  return p.closes_at && p.closes_at <= nowIso() ? p.closes_at : p.created_at;
+}
+
+const POLL_KINDS = {
+  single: "Choix unique",
+  multiple: "Choix multiples",
+  ranked: "Classement"
+};
+
+// Every ballot as an ordered list of option indexes (older rows: option_index only)
+async function pollBallots(pollId) {
+  const rows = await all(
+    `SELECT option_index, choices_json, created_at FROM poll_votes WHERE poll_id = ? ORDER BY id ASC`,
+    [pollId]
+  );
+  return rows.map(r => ({
+    choices: r.choices_json ? JSON.parse(r.choices_json) : [r.option_index],
+    created_at: r.created_at
+  }));
+}
+
+// Instant-runoff: drop the last option each round until a majority (ties: earlier rounds)
+function instantRunoff(optionCount, ballots) {
+  const continuing = new Set([...Array(optionCount).keys()]);
+  const rounds = [];
+  for (;;) {
+    const counts = new Array(optionCount).fill(0);
+    let exhausted = 0;
+    for (const b of ballots) {
+      const top = b.find(i => continuing.has(i));
+      if (top === undefined) exhausted++;
+      else counts[top]++;
+    }
+    const standing = [...continuing];
+    const round = { counts, standing, exhausted, eliminated: [] };
+    rounds.push(round);
+
+    const active = ballots.length - exhausted;
+    if (!active) return { rounds, winner: null, tied: [] };
+    const max = Math.max(...standing.map(i => counts[i]));
+    if (max * 2 > active) return { rounds, winner: standing.find(i => counts[i] === max), tied: [] };
+    const min = Math.min(...standing.map(i => counts[i]));
+    let lowest = standing.filter(i => counts[i] === min);
+    for (let r = rounds.length - 2; r >= 0 && lowest.length > 1; r--) {
+      const prevMin = Math.min(...lowest.map(i => rounds[r].counts[i]));
+      lowest = lowest.filter(i => rounds[r].counts[i] === prevMin);
+    }
+    if (lowest.length === standing.length) return { rounds, winner: null, tied: standing };
+    round.eliminated = lowest;
+    lowest.forEach(i => continuing.delete(i));
+  }
+}
+
+// Server-side tally per option (multiple: percent of voters, ranked: first choices)
+function tallyPoll(p, ballots) {
+  const options = JSON.parse(p.options_json);
+  const total = ballots.length;
+  const counts = new Array(options.length).fill(0);
+  for (const b of ballots) {
+    for (const idx of p.kind === "multiple" ? b.choices : b.choices.slice(0, 1)) {
+      if (idx < counts.length) counts[idx]++;
+    }
+  }
+  const percent = (n, of) => (of ? Math.round((n / of) * 100) : 0);
+  const tally = {
+    total,
+    results: options.map((label, idx) => ({ label, votes: counts[idx], percent: percent(counts[idx], total) }))
+  };
+  if (p.kind !== "ranked") return tally;
+
+  const irv = instantRunoff(options.length, ballots.map(b => b.choices));
+  return {
+    ...tally,
+    winner: irv.winner,
+    tied: irv.tied,
+    rounds: irv.rounds.map((r, n) => ({
+      round: n + 1,
+      exhausted: r.exhausted,
+      eliminated: r.eliminated,
+      results: r.standing.map(idx => ({
+        index: idx,
+        label: options[idx],
+        votes: r.counts[idx],
+        percent: percent(r.counts[idx], total - r.exhausted)
+      }))
+    }))
+  };
+}
+
+// Vote body ({ optionIndex } or { choices: [...] }) -> ballot, or an error message
+function pollBallotFromBody(p, reqBody) {
+  const options = JSON.parse(p.options_json);
+  const choices = Array.isArray(reqBody.choices)
+    ? reqBody.choices.map(Number)
+    : reqBody.optionIndex !== undefined
+      ? [Number(reqBody.optionIndex)]
+      : [];
+  if (!choices.length) return { error: "Choisissez au moins une option" };
+  if (choices.some(i => !Number.isInteger(i) || i < 0 || i >= options.length)) return { error: "Option invalide" };
+  if (new Set(choices).size !== choices.length) return { error: "Une option ne peut être choisie qu'une fois" };
+  if (p.kind === "single" && choices.length > 1) return { error: "Une seule option possible" };
+  if (p.kind === "multiple" && choices.length > p.max_choices) {
+    return { error: `${p.max_choices} choix maximum` };
+  }
+  return { choices };
+}
+
+// Public shape of a poll: results, and whether the calling device already voted
+async function pollView(p, deviceHash = null) {
+  const options = JSON.parse(p.options_json);
+  const tally = tallyPoll(p, await pollBallots(p.id));
+  const voted = deviceHash
+    ? !!(await get(`SELECT 1 AS ok FROM poll_votes WHERE poll_id = ? AND voter_hash = ?`, [p.id, deviceHash]))
+    : false;
+  const status = pollStatus(p);
+  return {
+    id: p.id,
+    question: p.question,
+    options,
+    kind: p.kind,
+    max_choices: p.kind === "multiple" ? p.max_choices : null,
+    status,
+    active: status === "open",
+    created_at: p.created_at,
+    opens_at: p.opens_at,
+    closes_at: p.closes_at,
+    closed_at: status === "closed" ? pollClosedAt(p) : null,
+    voted,
+    ...tally
+  };
+}
+
+// Same rule as news: the push goes out when the poll actually opens
+async function openDuePolls() {
+  const now = nowIso();
+  const due = await all(`SELECT id, question FROM poll WHERE pushed_at IS NULL AND ${POLL_OPEN_SQL}`, [now, now]);
+  for (const p of due) {
+    const r = await run(`UPDATE poll SET pushed_at = ? WHERE id = ? AND pushed_at IS NULL`, [nowIso(), p.id]);
+    if (!r.changes || !canUsePushConfig()) continue;
+    try {
+      await sendPushToAll({
+        title: "📊 Nouveau sondage",
+        body: p.question,
+        url: "/#sondage",
+        tag: "poll",
+        ts: nowIso()
+      });
+    } catch (e) {
+      console.error("Poll push failed", p.id, e);
+    }
+  }
+}
+
+// ======================
+// App + security middleware
+// ======================
+await initDb();
+
+const app = express();
+if (TRUST_PROXY) app.set("trust proxy", 1);
+
+app.use(helmet({
+  contentSecurityPolicy: false // simplest for a self-contained PWA (fonts inline etc.)
+}));
+
+app.use(express.json({ limit: "20kb" }));
+app.use(cookieParser());
+
+// CORS (optional)
+app.use(cors({
+  origin: ORIGIN ? ORIGIN.split(",").map(s => s.trim()) : false,
+  credentials: true
+}));
+
+// Rate limits
+const publicLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 60,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+const loginLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  limit: 20,
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+app.use("/api/public", publicLimiter);
+app.use("/feeds", publicLimiter);
+app.use("/api/auth/login", loginLimiter);
+app.use("/api/auth/totp", loginLimiter);
+
+// Simple anti-automation: require a device id header
+app.use("/api", (req, res, next) => {
+  const deviceId = req.get("X-Device-Id") || "";
+  if (!deviceId || deviceId.length < 8 || deviceId.length > 200) {
+    return res.status(400).json({ error: "En-tête X-Device-Id manquant" });
+  }
+  req.deviceHash = sha256(deviceId);
+  next();
+});
+
+
+// Track daily connections (best-effort, one entry per device/day on GET /api/public/*)
+app.use("/api/public", async (req, _res, next) => {
+  if (req.method !== "GET") return next();
+  const day = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+  try {
+    await run(
+      `INSERT INTO daily_connections(day, device_hash, last_seen)
+       VALUES(?, ?, ?)
+       ON CONFLICT(day, device_hash) DO UPDATE SET last_seen=excluded.last_seen`,
+      [day, req.deviceHash, nowIso()]
+    );
+  } catch (_) {}
+  next();
+});
+
+// ======================
+// Public API
+// ======================
+app.get("/api/public/stats", async (_req, res) => {
+  const ideas = await get(`SELECT COUNT(*) AS n FROM ideas WHERE moderation_status != 'rejected'`);
+  const votes = await get(`SELECT COUNT(*) AS n FROM poll_votes`);
+  res.json({ ideas: ideas?.n ?? 0, votes: votes?.n ?? 0 });
+});
+
+function publicNews(r) {
+  return { ...r, pinned: !!r.pinned, description_html: renderNewsMarkdown(r.description) };
+}
+
+// Pinned first, then newest; without limit / cursor / month, a plain array of the 30 latest
+app.get(
+  "/api/public/news",
+  query("limit").optional().isInt({ min: 1, max: 50 }),
+  query("cursor").optional().isString().isLength({ max: 200 }),
+  query("month").optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const now = nowIso();
+    const paginated = ["limit", "cursor", "month"].some(k => req.query[k] !== undefined);
+    const limit = Number(req.query.limit || (paginated ? 10 : 30));
+    const month = req.query.month || null;
+    const pinnedExpr = month ? "0" : "pinned";
+    const where = [NEWS_LIVE_SQL];
+    const params = [now, now];
+    if (month) {
+      where.push(`${NEWS_MONTH_SQL} = ?`);
+      params.push(month);
+    }
+    const total = await get(`SELECT COUNT(*) AS n FROM news WHERE ${where.join(" AND ")}`, params);
+
+    if (req.query.cursor) {
+      const c = decodeCursor(req.query.cursor);
+      if (!c || !Array.isArray(c.value) || c.value.length !== 2) return res.status(400).json({ error: "cursor: invalide" });
+      const [pinned, date] = c.value;
+      where.push(`(${pinnedExpr} < ? OR (${pinnedExpr} = ? AND (${NEWS_DATE_SQL} < ? OR (${NEWS_DATE_SQL} = ? AND id < ?))))`);
+      params.push(pinned, pinned, date, date, c.id);
+    }
+
+    const page = await all(
+      `SELECT id, title, description, ${pinnedExpr} AS sort_pinned, pinned, ${NEWS_DATE_SQL} AS created_at, updated_at
+       FROM news
+       WHERE ${where.join(" AND ")}
+       ORDER BY sort_pinned DESC, ${NEWS_DATE_SQL} DESC, id DESC
+       LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const rows = page.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = page.length > limit ? encodeCursor([last.sort_pinned, last.created_at], last.id) : null;
+    const items = await withNewsReactions(await withNewsFiles(rows.map(({ sort_pinned: _sort, ...r }) => publicNews(r))), req.deviceHash);
+
+    if (!paginated) return res.json(items);
+    res.json({ total: total?.n ?? 0, next_cursor: nextCursor, items });
+  }
+);
+
+// Archive: number of published items per month (server local time), newest first
+app.get("/api/public/news/archive", async (_req, res) => {
+  const now = nowIso();
+  const rows = await all(
+    `SELECT ${NEWS_MONTH_SQL} AS month, COUNT(*) AS count
+     FROM news
+     WHERE ${NEWS_LIVE_SQL}
+     GROUP BY month
+     ORDER BY month DESC`,
+    [now, now]
+  );
+  res.json(rows);
+});
+
+app.get("/api/public/news/:id(\\d+)", async (req, res) => {
+  const now = nowIso();
+  const row = await get(
+    `SELECT id, title, description, pinned, ${NEWS_DATE_SQL} AS created_at, updated_at
+     FROM news
+     WHERE id = ? AND ${NEWS_LIVE_SQL}`,
+    [Number(req.params.id), now, now]
+  );
+  if (!row) return res.status(404).json({ error: "Actualité introuvable" });
+  const [item] = await withNewsReactions(await withNewsFiles([publicNews(row)]), req.deviceHash);
+  res.json(item);
+});
+
+async function findLiveNews(id) {
+  const now = nowIso();
+  return get(`SELECT id FROM news WHERE id = ? AND ${NEWS_LIVE_SQL}`, [Number(id), now, now]);
+}
+
+async function newsReactionCounts(newsId, deviceHash) {
+  const [item] = await withNewsReactions([{ id: newsId }], deviceHash);
+  return item.reactions;
+}
+
+app.post(
+  "/api/public/news/:id/reactions",
+  body("reaction").isIn(Object.keys(NEWS_REACTIONS)),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const news = await findLiveNews(req.params.id);
+    if (!news) return res.status(404).json({ error: "Actualité introuvable" });
+
+    try {
+      await run(
+        `INSERT INTO news_reactions(news_id, reaction, voter_hash, created_at) VALUES(?, ?, ?, ?)`,
+        [news.id, req.body.reaction, req.deviceHash, nowIso()]
+      );
+    } catch (e) {
+      // UNIQUE violation -> already reacted
+      return res.status(409).json({ error: "Réaction déjà enregistrée" });
+    }
+    res.json({ ok: true, reactions: await newsReactionCounts(news.id, req.deviceHash) });
+  }
+);
+
+app.delete("/api/public/news/:id/reactions/:reaction", async (req, res) => {
+  const news = await findLiveNews(req.params.id);
+  if (!news) return res.status(404).json({ error: "Actualité introuvable" });
+
+  await run(
+    `DELETE FROM news_reactions WHERE news_id = ? AND reaction = ? AND voter_hash = ?`,
+    [news.id, String(req.params.reaction), req.deviceHash]
+  );
+  res.json({ ok: true, reactions: await newsReactionCounts(news.id, req.deviceHash) });
+});
+
+// Reach: the cards shown by renderNews, batched; a device counts once per news item
+app.post(
+  "/api/public/news/views",
+  body("ids").isArray({ min: 1, max: 50 }),
+  body("ids.*").isInt({ min: 1 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const now = nowIso();
+    const ids = [...new Set(req.body.ids.map(Number))];
+    await run(
+      `INSERT OR IGNORE INTO news_views(news_id, voter_hash, created_at)
+       SELECT id, ?, ? FROM news WHERE id IN (${ids.map(() => "?").join(",")}) AND ${NEWS_LIVE_SQL}`,
+      [req.deviceHash, now, ...ids, now, now]
+    );
+    res.json({ ok: true });
+  }
+);
+
+app.post(
+  "/api/public/ideas",
+  uploadFiles("images", IDEA_IMAGES_MAX, IDEA_IMAGE_MAX_BYTES), // optional photos (multipart/form-data)
+  body("text").isString().isLength({ min: 10, max: 500 }),
+  body("category").isString().custom(v => isActiveCategory(v)).withMessage("Catégorie inconnue"),
+  body("urgency").isIn(["basse", "moyenne", "haute"]),
+  body("hp").optional().isString().isLength({ max: 5 }), // honeypot must stay empty
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    // honeypot (bots fill hidden fields)
+    if ((req.body.hp || "").trim() !== "") return res.status(400).json({ error: "Requête invalide" });
+
+    // cooldown per device
+    const last = await get(
+      `SELECT created_at FROM ideas WHERE device_hash = ? ORDER BY id DESC LIMIT 1`,
+      [req.deviceHash]
+    );
+    if (last?.created_at) {
+      const diff = (Date.now() - Date.parse(last.created_at)) / 1000;
+      const remaining = Math.ceil(IDEA_COOLDOWN_SEC - diff);
+      if (remaining > 0) {
+        return res.status(429).json({ error: "Trop de requêtes", retry_after_sec: remaining });
+      }
+    }
+
+    const text = cleanText(req.body.text, 500);
+    const category = req.body.category;
+    const urgency = req.body.urgency;
+
+    // Photos are processed first: a bad file rejects the whole submission
+    const images = [];
+    for (const file of req.files || []) {
+      const processed = await processImage(file.buffer);
+      if (processed.error) {
+        const [status, error] = IMAGE_ERRORS[processed.error];
+        return res.status(status).json({ error });
+      }
+      images.push(processed);
+    }
+
+    // Flagged ideas wait in the admin review queue instead of the inbox
+    const reasons = moderateIdeaText(text);
+    const moderationStatus = reasons.length ? "quarantined" : "ok";
+
+    // Files first: a failed write leaves no half-stored idea behind
+    const receipt = makeReceiptCode();
+    const written = [];
+    let ideaId = null;
+    try {
+      for (const img of images) {
+        img.fileName = await saveUpload("ideas", img.data, "jpg");
+        written.push(img.fileName);
+        img.thumbName = await saveUpload("ideas", img.thumb, "jpg");
+        written.push(img.thumbName);
+      }
+      const r = await run(
+        `INSERT INTO ideas(text, category, urgency, device_hash, receipt_hash, moderation_status, moderation_reasons, created_at)
+         VALUES(?, ?, ?, ?, ?, ?, ?, ?)`,
+        [text, category, urgency, req.deviceHash, sha256(receipt), moderationStatus, reasons.length ? JSON.stringify(reasons) : null, nowIso()]
+      );
+      ideaId = r.lastID;
+      for (const img of images) {
+        await run(
+          `INSERT INTO idea_images(idea_id, file_name, thumb_name, width, height, size, created_at) VALUES(?, ?, ?, ?, ?, ?, ?)`,
+          [ideaId, img.fileName, img.thumbName, img.width, img.height, img.data.length, nowIso()]
+        );
+      }
+    } catch (e) {
+      console.error("Idea submission failed", e);
+      if (ideaId) await run(`DELETE FROM ideas WHERE id = ?`, [ideaId]).catch(() => {});
+      for (const name of written) await removeUpload("ideas", name);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+
+    res.json({ ok: true, id: ideaId, receipt, quarantined: reasons.length > 0 });
+  }
+);
+
+// Ideas submitted from this device ("Mes idées")
+app.get("/api/public/ideas/mine", async (req, res) => {
+  const rows = await all(
+    `SELECT id, text, category, urgency, status, duplicate_of, moderation_status, created_at FROM ideas WHERE device_hash = ? ORDER BY id DESC LIMIT 50`,
+    [req.deviceHash]
+  );
+  const out = [];
+  for (const r of rows) out.push(await publicIdeaView(r, { includePrivate: true }));
+  res.json(out);
+});
+
+// Lookup by receipt code (e.g. from another device)
+app.get("/api/public/ideas/receipt/:code", async (req, res) => {
+  const code = normalizeReceiptCode(req.params.code);
+  if (!code) return res.status(400).json({ error: "Code de suivi invalide" });
+
+  const row = await get(
+    `SELECT id, text, category, urgency, status, duplicate_of, moderation_status, created_at FROM ideas WHERE receipt_hash = ?`,
+    [sha256(code)]
+  );
+  if (!row) return res.status(404).json({ error: "Idée introuvable" });
+  res.json(await publicIdeaView(row));
+});
+
+// Public idea wall ("Mur des idées"): only ideas published by an admin
+app.get("/api/public/wall", async (req, res) => {
+  const sort = req.query.sort === "recent" ? "recent" : "votes";
+  const category = typeof req.query.category === "string" ? req.query.category : "";
+
+  const where = ["i.published = 1"];
+  const params = [req.deviceHash];
+  if (category) {
+    where.push("i.category = ?");
+    params.push(category);
+  }
+  const orderBy = sort === "recent"
+    ? "i.published_at DESC, i.id DESC"
+    : "votes DESC, i.published_at DESC";
+
+  const rows = await all(
+    `SELECT i.id, i.text, i.category, i.status, i.published_at,
+            ${ideaVotesSql("i")} AS votes,
+            EXISTS(SELECT 1 FROM idea_votes v WHERE v.idea_id IN ${ideaGroupSql("i")} AND v.voter_hash = ?) AS voted
+     FROM ideas i
+     WHERE ${where.join(" AND ")}
+     ORDER BY ${orderBy}
+     LIMIT 100`,
+    params
+  );
+  const replies = await all(
+    `SELECT r.idea_id, r.body, r.created_at FROM idea_replies r
+     JOIN ideas i ON i.id = r.idea_id
+     WHERE i.published = 1 AND r.visibility = 'public'
+     ORDER BY r.id ASC`
+  );
+
+  res.json(rows.map(r => ({
+    id: r.id,
+    text: r.text,
+    category: r.category,
+    category_label: categoryLabel(r.category),
+    status: r.status,
+    status_label: ideaStatusLabel(r.status),
+    published_at: r.published_at,
+    votes: r.votes,
+    voted: !!r.voted,
+    replies: replies.filter(x => x.idea_id === r.id).map(x => ({ body: x.body, created_at: x.created_at }))
+  })));
+});
+
+app.post("/api/public/wall/:id/vote", async (req, res) => {
+  const ideaId = Number(req.params.id);
+  const idea = await get(`SELECT id FROM ideas WHERE id = ? AND published = 1`, [ideaId]);
+  if (!idea) return res.status(404).json({ error: "Idée introuvable" });
+  // One vote per device across the merge group (canonical and duplicates, whichever way round)
+  const already = await get(
+    `SELECT 1 AS ok FROM ideas i JOIN idea_votes v ON v.idea_id IN ${ideaGroupSql("i")}
+     WHERE i.id = ? AND v.voter_hash = ?`,
+    [ideaId, req.deviceHash]
+  );
+  if (already) return res.status(409).json({ error: "Vote déjà enregistré" });
+
+  try {
+    await run(
+      `INSERT INTO idea_votes(idea_id, voter_hash, created_at) VALUES(?, ?, ?)`,
+      [ideaId, req.deviceHash, nowIso()]
+    );
+  } catch (e) {
+    // UNIQUE violation -> already voted
+    return res.status(409).json({ error: "Vote déjà enregistré" });
+  }
+
+  const count = await get(`SELECT ${ideaVotesSql("ideas")} AS n FROM ideas WHERE id = ?`, [ideaId]);
+  res.json({ ok: true, votes: count?.n ?? 0 });
+});
+
+app.get("/api/public/categories", (_req, res) => {
+  const rows = Array.from(categoryCache.values()).filter(c => c.active);
+  res.json(rows.map(c => ({ slug: c.slug, label: c.label, emoji: c.emoji })));
+});
+
+// Latest open poll (kept for older clients; the Sondage screen uses /api/public/polls)
+app.get("/api/public/poll", async (req, res) => {
+  const now = nowIso();
+  const p = await get(`SELECT * FROM poll WHERE ${POLL_OPEN_SQL} ORDER BY id DESC LIMIT 1`, [now, now]);
+  if (!p) return res.json({ active: 0 });
+  res.json(await pollView(p, req.deviceHash));
+});
+
+// Every open poll + the results of the last closed ones
+app.get("/api/public/polls", async (req, res) => {
+  const now = nowIso();
+  const open = await all(`SELECT * FROM poll WHERE ${POLL_OPEN_SQL} ORDER BY id DESC`, [now, now]);
+  const closed = await all(
+    `SELECT * FROM poll
+     WHERE (active = 0 OR (closes_at IS NOT NULL AND closes_at <= ?)) AND COALESCE(opens_at, created_at) <= ?
+     ORDER BY COALESCE(closed_at, closes_at, created_at) DESC, id DESC
+     LIMIT ?`,
+    [now, now, POLL_RECENT_CLOSED]
+  );
+  const view = list => Promise.all(list.map(p => pollView(p, req.deviceHash)));
+  res.json({ open: await view(open), closed: await view(closed) });
+});
+
+app.post(
+  "/api/public/poll/:id/vote",
+  body("optionIndex").optional().isInt({ min: 0, max: 50 }),
+  body("choices").optional().isArray({ min: 1, max: 8 }),
+  body("choices.*").isInt({ min: 0, max: 50 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const pollId = Number(req.params.id);
+    const p = await get(`SELECT * FROM poll WHERE id = ?`, [pollId]);
+    if (!p) return res.status(404).json({ error: "Sondage introuvable" });
+    const status = pollStatus(p);
+    if (status !== "open") {
+      return res.status(409).json({ error: status === "scheduled" ? "Ce sondage n'est pas encore ouvert" : "Ce sondage est clos" });
+    }
+
+    const ballot = pollBallotFromBody(p, req.body);
+    if (ballot.error) return res.status(400).json({ error: ballot.error });
+
+    try {
+      await run(
+        `INSERT INTO poll_votes(poll_id, option_index, choices_json, voter_hash, created_at) VALUES(?, ?, ?, ?, ?)`,
+        [pollId, ballot.choices[0], p.kind === "single" ? null : JSON.stringify(ballot.choices), req.deviceHash, nowIso()]
+      );
+    } catch (e) {
+      // UNIQUE violation -> already voted
+      return res.status(409).json({ error: "Vote déjà enregistré" });
+    }
+
+    res.json({ ok: true });
+  }
+);
+
+app.get("/api/public/info", async (_req, res) => {
+  const rows = await all(`SELECT key, text, url FROM info_blocks`);
+  const obj = {};
+  for (const r of rows) obj[r.key] = { text: r.text, url: r.url };
+  res.json({
+    jpo: obj.jpo || null,
+    mini_stages: obj.mini_stages || null,
+    science_weekly: obj.science_weekly || null,
+    cycle_mauriac: obj.cycle_mauriac || null,
+    region_aides: obj.region_aides || null
+  });
+});
+
+
+// ======================
+// Push API
+// ======================
+app.get("/api/push/public-key", (_req, res) => {
+  if (!VAPID_PUBLIC_KEY) return res.status(501).json({ error: "Push non configuré (VAPID_PUBLIC_KEY)" });
+  res.json({ publicKey: VAPID_PUBLIC_KEY });
+});
+
+app.post(
+  "/api/push/subscribe",
+  body("subscription").isObject(),
+  body("subscription.endpoint").isString().isLength({ min: 10, max: 2000 }),
+  body("subscription.keys").isObject(),
+  body("subscription.keys.p256dh").isString().isLength({ min: 10, max: 300 }),
+  body("subscription.keys.auth").isString().isLength({ min: 10, max: 300 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const sub = req.body.subscription;
+    const endpoint = String(sub.endpoint);
+    const ua = cleanText(req.get("User-Agent") || "", 220);
+    const now = nowIso();
+
+    await run(
+      `INSERT INTO push_subscriptions(endpoint, subscription_json, device_hash, user_agent, created_at, updated_at)
+       VALUES(?, ?, ?, ?, ?, ?)
+       ON CONFLICT(endpoint) DO UPDATE SET
+         subscription_json=excluded.subscription_json,
+         device_hash=excluded.device_hash,
+         user_agent=excluded.user_agent,
+         updated_at=excluded.updated_at`,
+      [endpoint, JSON.stringify(sub), req.deviceHash, ua, now, now]
+    );
+
+    res.json({ ok: true });
+  }
+);
+
+app.post(
+  "/api/push/send",
+  requirePermission("push"),
+  body("title").isString().isLength({ min: 1, max: 60 }),
+  body("body").isString().isLength({ min: 1, max: 180 }),
+  body("url").optional({ nullable: true }).isString().isLength({ max: 300 }),
+  body("tag").optional({ nullable: true }).isString().isLength({ max: 60 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const payload = {
+      title: cleanText(req.body.title, 60),
+      body: cleanText(req.body.body, 180),
+      url: req.body.url ? String(req.body.url).trim() : "/",
+      tag: req.body.tag ? String(req.body.tag).trim() : "cvl",
+      ts: nowIso()
+    };
+
+    const result = await sendPushToAll(payload);
+    if (result.disabled) return res.status(501).json({ error: "Push non configuré (VAPID_*)" });
+
+    await audit(req, "push.send", { targetType: "push", after: { ...payload, ...result } });
+    res.json({ ok: true, ...result });
+  }
+);
+
+// ======================
+// Admin stats API
+// ======================
+app.get("/api/stats", requireAdmin, async (_req, res) => {
+  const ideasTotal = await get(`SELECT COUNT(*) AS n FROM ideas WHERE ${VISIBLE_IDEA_SQL}`);
+  const ideasByStatus = await all(`SELECT status, COUNT(*) AS n FROM ideas WHERE ${VISIBLE_IDEA_SQL} GROUP BY status ORDER BY n DESC`);
+  const ideasQuarantined = await get(`SELECT COUNT(*) AS n FROM ideas WHERE moderation_status = 'quarantined'`);
+  const votesTotal = await get(`SELECT COUNT(*) AS n FROM poll_votes`);
+  const newsTotal = await get(`SELECT COUNT(*) AS n FROM news`);
+  const newsReach = await all(
+    `SELECT n.id, n.title, COALESCE(n.publish_at, n.created_at) AS published_at,
+            (SELECT COUNT(*) FROM news_views v WHERE v.news_id = n.id) AS views
+     FROM news n
+     ORDER BY COALESCE(n.publish_at, n.created_at) DESC, n.id DESC
+     LIMIT 10`
+  );
+  const newsReactions = newsReach.length ? await all(
+    `SELECT news_id, reaction, COUNT(*) AS n FROM news_reactions
+     WHERE news_id IN (${newsReach.map(() => "?").join(",")}) GROUP BY news_id, reaction`,
+    newsReach.map(n => n.id)
+  ) : [];
+  const openAlerts = await get(`SELECT COUNT(*) AS n FROM login_alerts WHERE acknowledged_at IS NULL`);
+
+  const polls = await all(
+    `SELECT p.id, p.question, p.active, p.opens_at, p.closes_at, p.created_at, COUNT(v.id) AS votes
+     FROM poll p
+     LEFT JOIN poll_votes v ON v.poll_id = p.id
+     GROUP BY p.id
+     ORDER BY p.id DESC
+     LIMIT 10`
+  );
+
+  const last14 = await all(
+    `SELECT day, COUNT(*) AS n
+     FROM daily_connections
+     WHERE day >= date('now', '-13 day')
+     GROUP BY day
+     ORDER BY day ASC`
+  );
+
+  res.json({
+    ideas: {
+      total: ideasTotal?.n ?? 0,
+      quarantined: ideasQuarantined?.n ?? 0,
+      byStatus: ideasByStatus.map(r => ({ status: r.status, label: ideaStatusLabel(r.status), count: r.n }))
+    },
+    votes: { total: votesTotal?.n ?? 0 },
+    news: {
+      total: newsTotal?.n ?? 0,
+      recent: newsReach.map(n => {
+        const own = newsReactions.filter(r => r.news_id === n.id);
+        return {
+          id: n.id,
+          title: n.title,
+          published_at: n.published_at,
+          views: n.views,
+          reactions: Object.entries(NEWS_REACTIONS).map(([key, emoji]) => ({ key, emoji, count: own.find(r => r.reaction === key)?.n ?? 0 })),
+          reactions_total: own.reduce((a, r) => a + r.n, 0)
+        };
+      })
+    },
+    security: { openAlerts: openAlerts?.n ?? 0 },
+    polls: polls.map(p => ({ id: p.id, question: p.question, status: pollStatus(p), active: pollStatus(p) === "open", created_at: p.created_at, votes: p.votes })),
+    dailyConnections: last14.map(r => ({ day: r.day, count: r.n }))
+  });
+});
+
+// ======================
+// Auth
+// ======================
+// Same cost as a real comparison, so unknown usernames can't be told apart by timing
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("cvl-dummy-password", 10);
+
+app.post(
+  "/api/auth/login",
+  body("username").optional({ nullable: true }).isString().isLength({ max: 40 }),
+  body("password").isString().isLength({ min: 6, max: 128 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const hasUsers = await get(`SELECT COUNT(*) AS n FROM users`);
+    if (!hasUsers?.n) {
+      return res.status(500).json({ error: "Aucun compte admin (ADMIN_PASSWORD_HASH non configuré)" });
+    }
+
+    // Without a username, fall back to the bootstrap account (old login form)
+    const username = String(req.body.username || ADMIN_USERNAME).trim().toLowerCase();
+
+    const retryAfter = await loginRetryAfter(username, ipHash(req));
+    if (retryAfter > 0) {
+      await recordLoginAttempt(req, { username, success: false, reason: "locked" });
+      return sendLocked(res, retryAfter);
+    }
+
+    const user = await get(`SELECT * FROM users WHERE username = ?`, [username]);
+    const ok = await bcrypt.compare(String(req.body.password), user?.password_hash || DUMMY_PASSWORD_HASH);
+    if (!user || !ok || user.disabled) {
+      await recordLoginAttempt(req, { username, user, success: false, reason: !user ? "unknown" : !ok ? "password" : "disabled" });
+      return res.status(401).json({ error: "Identifiants invalides" });
+    }
+
+    // 2FA: no session cookie until /api/auth/totp succeeds
+    if (user.totp_enabled) {
+      return res.json({ ok: true, totp_required: true, challenge: signTotpChallenge(user) });
+    }
+
+    await run(`UPDATE users SET last_login_at = ? WHERE id = ?`, [nowIso(), user.id]);
+    await recordLoginAttempt(req, { username, user, success: true });
+
+    const session = await createSession(req, user);
+    setAuthCookie(res, signAdminToken(user, session.id));
+    res.json({ ok: true, user: publicUser(user), csrf_token: session.csrfToken });
+  }
+);
+
+app.post(
+  "/api/auth/totp",
+  body("challenge").isString().isLength({ min: 10, max: 1000 }),
+  body("code").optional({ nullable: true }).isString().isLength({ max: 10 }),
+  body("recovery_code").optional({ nullable: true }).isString().isLength({ max: 20 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    let payload;
+    try {
+      payload = jwt.verify(req.body.challenge, JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: "Étape expirée, reconnecte-toi" });
+    }
+    if (!payload?.totp_uid) return res.status(401).json({ error: "Étape expirée, reconnecte-toi" });
+
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [payload.totp_uid]);
+    if (!user || user.disabled || !user.totp_enabled) return res.status(401).json({ error: "Identifiants invalides" });
+
+    // 6-digit codes are guessable too: same lockout as the password step
+    const username = user.username.toLowerCase();
+    const retryAfter = await loginRetryAfter(username, ipHash(req));
+    if (retryAfter > 0) {
+      await recordLoginAttempt(req, { username, user, success: false, reason: "locked" });
+      return sendLocked(res, retryAfter);
+    }
+
+    const method = await checkSecondFactor(user, { code: req.body.code, recoveryCode: req.body.recovery_code });
+    if (!method) {
+      await recordLoginAttempt(req, { username, user, success: false, reason: "totp" });
+      return res.status(401).json({ error: "Code invalide" });
+    }
+
+    await run(`UPDATE users SET last_login_at = ? WHERE id = ?`, [nowIso(), user.id]);
+    await recordLoginAttempt(req, { username, user, success: true, reason: method });
+
+    const session = await createSession(req, user);
+    setAuthCookie(res, signAdminToken(user, session.id));
+    const left = await get(`SELECT COUNT(*) AS n FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL`, [user.id]);
+    res.json({ ok: true, user: publicUser(user), csrf_token: session.csrfToken, method, recovery_codes_left: left?.n ?? 0 });
+  }
+);
+
+app.post("/api/auth/logout", async (req, res) => {
+  let payload = null;
+  try {
+    payload = jwt.verify(req.cookies[COOKIE_NAME] || "", JWT_SECRET);
+  } catch {
+    // expired or missing token: nothing to revoke
+  }
+  try {
+    const session = payload?.sid ? await get(`SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL`, [payload.sid]) : null;
+    // Same CSRF check as requireAdmin: another site can't end a live session
+    if (session && !csrfTokenMatches(req, session)) {
+      return res.status(403).json({ error: "Jeton CSRF manquant ou invalide", code: "csrf" });
+    }
+    if (session) await run(`UPDATE sessions SET revoked_at = ? WHERE id = ?`, [nowIso(), session.id]);
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Erreur serveur" });
+  }
+  clearAuthCookie(res);
+  res.json({ ok: true });
+});
+
+// ======================
+// Admin API
+// ======================
+app.get("/api/admin/me", requireAdmin, (req, res) => res.json({
+  admin: true,
+  user: publicUser(req.user),
+  permissions: req.permissions,
+  csrf_token: req.session.csrf_token
+}));
+
+app.post(
+  "/api/admin/me/password",
+  requireAdmin,
+  body("current").isString().isLength({ min: 1, max: 128 }),
+  body("password").isString().isLength({ min: 10, max: 128 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const ok = await bcrypt.compare(String(req.body.current), req.user.password_hash);
+    if (!ok) return res.status(400).json({ error: "Mot de passe actuel incorrect" });
+
+    const hash = await bcrypt.hash(String(req.body.password), 12);
+    await run(`UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`, [hash, nowIso(), req.user.id]);
+    await revokeUserSessions(req.user.id, req.session.id);
+    await audit(req, "user.password", { targetType: "user", targetId: req.user.id });
+    res.json({ ok: true });
+  }
+);
+
+// 2FA: setup (secret + QR) -> enable (first code) -> recovery codes shown once
+app.get("/api/admin/me/totp", requireAdmin, async (req, res) => {
+  const left = await get(`SELECT COUNT(*) AS n FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL`, [req.user.id]);
+  res.json({ enabled: !!req.user.totp_enabled, recovery_codes_left: left?.n ?? 0 });
+});
+
+app.post("/api/admin/me/totp/setup", requireAdmin, async (req, res) => {
+  if (req.user.totp_enabled) return res.status(409).json({ error: "Double authentification déjà active" });
 
-    // honeypot (bots fill hidden fields)
-    if ((req.body.hp || "").trim() !== "") return res.status(400).json({ error: "Requête invalide" });
+  const secret = base32Encode(crypto.randomBytes(20));
+  await run(`UPDATE users SET totp_secret = ?, updated_at = ? WHERE id = ?`, [secret, nowIso(), req.user.id]);
+  // Never log the secret itself
+  await audit(req, "user.totp.setup", { targetType: "user", targetId: req.user.id });
 
-    // cooldown per device
-    const last = await get(
-      `SELECT created_at FROM ideas WHERE device_hash = ? ORDER BY id DESC LIMIT 1`,
-      [req.deviceHash]
+  const uri = totpUri(req.user, secret);
+  const qrcode = await getQrCode();
+  // As a data: URL for an <img>, so the client never injects markup from the response
+  const svg = qrcode ? await qrcode.toString(uri, { type: "svg", margin: 1, width: 200 }) : null;
+  const qr_url = svg ? `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}` : null;
+  res.json({ secret, otpauth_url: uri, qr_url });
+});
+
+app.post(
+  "/api/admin/me/totp/enable",
+  requireAdmin,
+  body("code").isString().isLength({ min: 6, max: 10 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+    if (req.user.totp_enabled) return res.status(409).json({ error: "Double authentification déjà active" });
+    if (!req.user.totp_secret) return res.status(400).json({ error: "Lance d'abord l'activation" });
+
+    const step = verifyTotp(req.user.totp_secret, req.body.code);
+    if (step === null) return res.status(400).json({ error: "Code invalide (vérifie l'heure du téléphone)" });
+
+    await run(
+      `UPDATE users SET totp_enabled = 1, totp_last_step = ?, updated_at = ? WHERE id = ?`,
+      [step, nowIso(), req.user.id]
     );
-    if (last?.created_at) {
-      const diff = (Date.now() - Date.parse(last.created_at)) / 1000;
-      const remaining = Math.ceil(IDEA_COOLDOWN_SEC - diff);
-      if (remaining > 0) {
-        return res.status(429).json({ error: "Trop de requêtes", retry_after_sec: remaining });
-      }
-    }
+    const recovery_codes = await issueRecoveryCodes(req.user.id);
+    await audit(req, "user.totp.enable", { targetType: "user", targetId: req.user.id });
+    res.json({ ok: true, recovery_codes });
+  }
+);
 
-    const text = cleanText(req.body.text, 500);
-    const category = req.body.category;
-    const urgency = req.body.urgency;
+app.post(
+  "/api/admin/me/totp/recovery-codes",
+  requireAdmin,
+  body("code").isString().isLength({ min: 6, max: 10 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+    if (!req.user.totp_enabled) return res.status(409).json({ error: "Double authentification inactive" });
+
+    const method = await checkSecondFactor(req.user, { code: req.body.code });
+    if (!method) return res.status(400).json({ error: "Code invalide" });
+
+    const recovery_codes = await issueRecoveryCodes(req.user.id);
+    await audit(req, "user.totp.recovery", { targetType: "user", targetId: req.user.id });
+    res.json({ ok: true, recovery_codes });
+  }
+);
+
+app.post(
+  "/api/admin/me/totp/disable",
+  requireAdmin,
+  body("password").isString().isLength({ min: 1, max: 128 }),
+  body("code").isString().isLength({ min: 6, max: 20 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+    if (!req.user.totp_enabled) return res.status(409).json({ error: "Double authentification inactive" });
+
+    const ok = await bcrypt.compare(String(req.body.password), req.user.password_hash);
+    // the code field also takes a recovery code (lost phone)
+    const code = String(req.body.code);
+    const method = ok && await checkSecondFactor(req.user, /^\s*\d{6}\s*$/.test(code) ? { code } : { recoveryCode: code });
+    if (!method) return res.status(400).json({ error: "Mot de passe ou code invalide" });
 
     await run(
-      `INSERT INTO ideas(text, category, urgency, device_hash, created_at) VALUES(?, ?, ?, ?, ?)`,
-      [text, category, urgency, req.deviceHash, nowIso()]
+      `UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, updated_at = ? WHERE id = ?`,
+      [nowIso(), req.user.id]
     );
+    await run(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [req.user.id]);
+    await audit(req, "user.totp.disable", { targetType: "user", targetId: req.user.id });
     res.json({ ok: true });
   }
 );
 
-app.get("/api/public/poll", async (_req, res) => {
-  const p = await get(`SELECT id, question, options_json, active, created_at FROM poll WHERE active = 1 ORDER BY id DESC LIMIT 1`);
-  if (!p) return res.json({ active: 0 });
-
-  const options = JSON.parse(p.options_json);
-  const counts = await all(
-    `SELECT option_index, COUNT(*) AS n FROM poll_votes WHERE poll_id = ? GROUP BY option_index`,
-    [p.id]
-  );
-  const total = counts.reduce((acc, r) => acc + r.n, 0);
-  const map = new Map(counts.map(r => [r.option_index, r.n]));
-  const results = options.map((label, idx) => {
-    const votes = map.get(idx) || 0;
-    const percent = total ? Math.round((votes / total) * 100) : 0;
-    return { label, votes, percent };
-  });
+// ======================
+// Admin: user accounts (president only)
+// ======================
+async function activePresidentCount(exceptId) {
+  const row = await get(
+    `SELECT COUNT(*) AS n FROM users WHERE role = 'president' AND disabled = 0 AND id != ?`,
+    [exceptId]
+  );
+  return row?.n ?? 0;
+}
 
+app.get("/api/admin/users", requirePermission("users"), async (_req, res) => {
+  const rows = await all(`SELECT * FROM users ORDER BY disabled ASC, username ASC`);
   res.json({
-    id: p.id,
-    question: p.question,
-    options,
-    active: !!p.active,
-    created_at: p.created_at,
-    results
+    roles: Object.entries(ADMIN_ROLES).map(([key, r]) => ({ key, label: r.label, permissions: r.permissions })),
+    users: rows.map(publicUser)
   });
 });
 
 app.post(
-  "/api/public/poll/:id/vote",
-  body("optionIndex").isInt({ min: 0, max: 50 }),
+  "/api/admin/users",
+  requirePermission("users"),
+  body("username").isString().trim().matches(/^[a-zA-Z0-9._-]{3,40}$/),
+  body("display_name").isString().isLength({ min: 1, max: 60 }),
+  body("role").isIn(Object.keys(ADMIN_ROLES)),
+  body("password").isString().isLength({ min: 10, max: 128 }),
   async (req, res) => {
     const errors = validationErrors(req);
     if (errors) return res.status(400).json({ error: errors });
 
-    const pollId = Number(req.params.id);
-    const p = await get(`SELECT id, options_json, active FROM poll WHERE id = ?`, [pollId]);
-    if (!p || !p.active) return res.status(404).json({ error: "Sondage introuvable" });
+    const username = req.body.username.trim();
+    const exists = await get(`SELECT id FROM users WHERE username = ?`, [username]);
+    if (exists) return res.status(409).json({ error: "Identifiant déjà utilisé" });
 
-    const options = JSON.parse(p.options_json);
-    const idx = Number(req.body.optionIndex);
-    if (!Number.isInteger(idx) || idx < 0 || idx >= options.length) {
-      return res.status(400).json({ error: "Option invalide" });
+    const hash = await bcrypt.hash(String(req.body.password), 12);
+    const now = nowIso();
+    const r = await run(
+      `INSERT INTO users(username, display_name, password_hash, role, created_at, updated_at) VALUES(?, ?, ?, ?, ?, ?)`,
+      [username, cleanText(req.body.display_name, 60), hash, req.body.role, now, now]
+    );
+    const created = await get(`SELECT * FROM users WHERE id = ?`, [r.lastID]);
+    await audit(req, "user.create", { targetType: "user", targetId: r.lastID, after: publicUser(created) });
+    res.json({ ok: true, id: r.lastID });
+  }
+);
+
+app.patch(
+  "/api/admin/users/:id",
+  requirePermission("users"),
+  body("display_name").optional().isString().isLength({ min: 1, max: 60 }),
+  body("role").optional().isIn(Object.keys(ADMIN_ROLES)),
+  body("disabled").optional().isBoolean(),
+  body("password").optional().isString().isLength({ min: 10, max: 128 }),
+  body("reset_totp").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const id = Number(req.params.id);
+    const user = await get(`SELECT * FROM users WHERE id = ?`, [id]);
+    if (!user) return res.status(404).json({ error: "Compte introuvable" });
+
+    const role = req.body.role ?? user.role;
+    const disabled = req.body.disabled === undefined ? !!user.disabled : !!req.body.disabled;
+
+    // Never lock everyone out of user management
+    const losesPresident = user.role === "president" && !user.disabled && (role !== "president" || disabled);
+    if (losesPresident && (await activePresidentCount(id)) === 0) {
+      return res.status(409).json({ error: "Il doit rester au moins un compte président actif" });
+    }
+
+    const hash = req.body.password ? await bcrypt.hash(String(req.body.password), 12) : user.password_hash;
+    await run(
+      `UPDATE users SET display_name = ?, role = ?, disabled = ?, password_hash = ?, updated_at = ? WHERE id = ?`,
+      [
+        req.body.display_name !== undefined ? cleanText(req.body.display_name, 60) : user.display_name,
+        role,
+        disabled ? 1 : 0,
+        hash,
+        nowIso(),
+        id
+      ]
+    );
+    // Lost phone and recovery codes: a president turns 2FA off, the member enrolls again
+    const resetTotp = req.body.reset_totp === true || req.body.reset_totp === "true";
+    if (resetTotp) {
+      await run(`UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL WHERE id = ?`, [id]);
+      await run(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [id]);
+    }
+    // Credentials or access changed: the member has to log in again
+    if (disabled || req.body.password || resetTotp || role !== user.role) {
+      await revokeUserSessions(id, id === req.user.id ? req.session.id : null);
+    }
+    const updated = await get(`SELECT * FROM users WHERE id = ?`, [id]);
+    await audit(req, "user.update", {
+      targetType: "user",
+      targetId: id,
+      before: publicUser(user),
+      after: { ...publicUser(updated), password_reset: !!req.body.password, totp_reset: resetTotp }
+    });
+    res.json({ ok: true });
+  }
+);
+
+// Sort orders for the admin idea list: [sort expression, direction]
+const IDEA_SORTS = {
+  recent: ["id", "DESC"],
+  oldest: ["id", "ASC"],
+  urgency: ["urgency_rank", "DESC"],
+  votes: ["votes", "DESC"]
+};
+
+// Filters shared by the admin list and the exports
+const ideaFilterValidators = [
+  query("category").optional().isString().isLength({ max: 40 }),
+  query("urgency").optional().isIn(["basse", "moyenne", "haute"]),
+  query("status").optional().isIn(Object.keys(IDEA_STATUSES)),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("q").optional().isString().isLength({ max: 100 })
+];
+
+function ideaFilterSql(q, { includeMerged = false } = {}) {
+  const where = [VISIBLE_IDEA_SQL];
+  const params = [];
+  if (!includeMerged) where.push("duplicate_of IS NULL");
+  for (const key of ["category", "urgency", "status"]) {
+    if (q[key]) {
+      where.push(`${key} = ?`);
+      params.push(q[key]);
+    }
+  }
+  if (q.from) {
+    where.push("created_at >= ?");
+    params.push(new Date(q.from).toISOString());
+  }
+  if (q.to) {
+    // inclusive end day
+    const end = new Date(q.to);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(q.to)) end.setUTCDate(end.getUTCDate() + 1);
+    where.push("created_at < ?");
+    params.push(end.toISOString());
+  }
+  if (q.q) {
+    const like = `%${String(q.q).trim().replace(/[\\%_]/g, c => `\\${c}`)}%`;
+    where.push("(text LIKE ? ESCAPE '\\' OR category LIKE ? ESCAPE '\\')");
+    params.push(like, like);
+  }
+  return { where, params };
+}
+
+// Opaque cursor: last row's [sort value, id]
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return Number.isInteger(id) ? { value, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+app.get(
+  "/api/admin/ideas",
+  requirePermission("ideas"),
+  ideaFilterValidators,
+  query("sort").optional().isIn(Object.keys(IDEA_SORTS)),
+  query("limit").optional().isInt({ min: 1, max: 200 }),
+  query("cursor").optional().isString().isLength({ max: 200 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    // Ideas merged into a canonical one are listed under it, not as separate cards
+    const includeMerged = req.query.include_merged === "1";
+    const limit = Number(req.query.limit || 50);
+    const [sortExpr, dir] = IDEA_SORTS[req.query.sort || "recent"];
+
+    const { where, params } = ideaFilterSql(req.query, { includeMerged });
+
+    const base = `
+      SELECT id, text, category, urgency, status, published, duplicate_of, created_at,
+             ${ideaVotesSql("ideas")} AS votes,
+             CASE urgency WHEN 'haute' THEN 3 WHEN 'moyenne' THEN 2 ELSE 1 END AS urgency_rank
+      FROM ideas WHERE ${where.join(" AND ")}`;
+
+    const total = await get(`SELECT COUNT(*) AS n FROM (${base})`, params);
+
+    let cursorSql = "";
+    const cursorParams = [];
+    if (req.query.cursor) {
+      const c = decodeCursor(req.query.cursor);
+      if (!c) return res.status(400).json({ error: "cursor: invalide" });
+      const cmp = dir === "DESC" ? "<" : ">";
+      if (sortExpr === "id") {
+        cursorSql = `WHERE id ${cmp} ?`;
+        cursorParams.push(c.id);
+      } else {
+        cursorSql = `WHERE (${sortExpr} ${cmp} ? OR (${sortExpr} = ? AND id ${cmp} ?))`;
+        cursorParams.push(c.value, c.value, c.id);
+      }
     }
 
+    const page = await all(
+      `SELECT * FROM (${base}) ${cursorSql} ORDER BY ${sortExpr} ${dir}, id ${dir} LIMIT ?`,
+      [...params, ...cursorParams, limit + 1]
+    );
+    const rows = page.slice(0, limit);
+    const last = rows[rows.length - 1];
+    const nextCursor = page.length > limit ? encodeCursor(last[sortExpr], last.id) : null;
+
+    const ids = rows.map(r => r.id);
+    const marks = ids.map(() => "?").join(",");
+    const replies = ids.length ? await all(
+      `SELECT id, idea_id, body, visibility, created_at FROM idea_replies WHERE idea_id IN (${marks}) ORDER BY id ASC`,
+      ids
+    ) : [];
+    const duplicates = ids.length ? await all(
+      `SELECT id, text, duplicate_of, created_at FROM ideas WHERE duplicate_of IN (${marks}) ORDER BY id ASC`,
+      ids
+    ) : [];
+
+    const images = ids.length ? await all(
+      `SELECT id, idea_id FROM idea_images WHERE idea_id IN (${marks}) ORDER BY id ASC`,
+      ids
+    ) : [];
+
+    const groupBy = (list, key, pick) => {
+      const m = new Map();
+      for (const x of list) {
+        if (!m.has(x[key])) m.set(x[key], []);
+        m.get(x[key]).push(pick(x));
+      }
+      return m;
+    };
+    const repliesByIdea = groupBy(replies, "idea_id", r => ({ id: r.id, body: r.body, visibility: r.visibility, created_at: r.created_at }));
+    const duplicatesByIdea = groupBy(duplicates, "duplicate_of", d => ({ id: d.id, text: d.text, created_at: d.created_at }));
+    const imagesByIdea = groupBy(images, "idea_id", img => ({
+      id: img.id,
+      url: `/admin/uploads/ideas/${img.id}`,
+      thumb_url: `/admin/uploads/ideas/${img.id}?thumb=1`
+    }));
+
+    res.json({
+      total: total?.n ?? 0,
+      next_cursor: nextCursor,
+      items: rows.map(({ urgency_rank: _rank, ...r }) => ({
+        ...r,
+        category_label: categoryLabel(r.category),
+        status_label: ideaStatusLabel(r.status),
+        published: !!r.published,
+        next_statuses: (IDEA_TRANSITIONS[r.status] || []).map(s => ({ status: s, label: ideaStatusLabel(s) })),
+        replies: repliesByIdea.get(r.id) || [],
+        duplicates: duplicatesByIdea.get(r.id) || [],
+        images: imagesByIdea.get(r.id) || []
+      }))
+    });
+  }
+);
+
+// Groups of similar ideas not merged yet
+app.get("/api/admin/ideas/clusters", requirePermission("ideas"), async (req, res) => {
+  const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : IDEA_SIMILARITY_THRESHOLD;
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    return res.status(400).json({ error: "threshold: doit être entre 0 et 1" });
+  }
+
+  const rows = await all(
+    `SELECT id, text, category, status, created_at,
+            (SELECT COUNT(*) FROM ideas d WHERE d.duplicate_of = ideas.id) AS merged_count
+     FROM ideas WHERE duplicate_of IS NULL AND ${VISIBLE_IDEA_SQL}
+     ORDER BY id DESC LIMIT 500`
+  );
+  const clusters = clusterIdeas(rows, threshold).map(group => {
+    const sorted = group.sort((a, b) => a.id - b.id);
+    // Suggest the idea that already absorbed the most duplicates, else the oldest one
+    const canonical = sorted.reduce((best, i) => (i.merged_count > best.merged_count ? i : best), sorted[0]);
+    return {
+      count: sorted.reduce((acc, i) => acc + 1 + i.merged_count, 0),
+      canonical_id: canonical.id,
+      ideas: sorted.map(i => ({
+        ...i,
+        category_label: categoryLabel(i.category),
+        status_label: ideaStatusLabel(i.status)
+      }))
+    };
+  });
+  clusters.sort((a, b) => b.count - a.count);
+  res.json(clusters);
+});
+
+app.post(
+  "/api/admin/ideas/merge",
+  requirePermission("ideas"),
+  body("canonical_id").isInt({ min: 1 }),
+  body("ids").isArray({ min: 1, max: 200 }),
+  body("ids.*").isInt({ min: 1 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const canonicalId = Number(req.body.canonical_id);
+    const ids = [...new Set(req.body.ids.map(Number))].filter(id => id !== canonicalId);
+    if (!ids.length) return res.status(400).json({ error: "Aucune idée à fusionner" });
+
+    const canonical = await get(`SELECT id, duplicate_of FROM ideas WHERE id = ?`, [canonicalId]);
+    if (!canonical) return res.status(404).json({ error: "Idée introuvable" });
+    if (canonical.duplicate_of) return res.status(409).json({ error: "L'idée principale est déjà fusionnée" });
+
+    const marks = ids.map(() => "?").join(",");
+    const found = await all(`SELECT id, duplicate_of, published FROM ideas WHERE id IN (${marks})`, ids);
+    if (found.length !== ids.length) return res.status(404).json({ error: "Idée introuvable" });
+
+    // One statement: merged ideas leave the wall and the chain stays flat (votes stay put)
     try {
       await run(
-        `INSERT INTO poll_votes(poll_id, option_index, voter_hash, created_at) VALUES(?, ?, ?, ?)`,
-        [pollId, idx, req.deviceHash, nowIso()]
+        `UPDATE ideas SET duplicate_of = ?, published = CASE WHEN id IN (${marks}) THEN 0 ELSE published END
+         WHERE id IN (${marks}) OR duplicate_of IN (${marks})`,
+        [canonicalId, ...ids, ...ids, ...ids]
       );
     } catch (e) {
-      // UNIQUE violation -> already voted
-      return res.status(409).json({ error: "Vote déjà enregistré" });
+      console.error("Idea merge failed", e);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+
+    await audit(req, "idea.merge", {
+      targetType: "idea",
+      targetId: canonicalId,
+      before: found,
+      after: { canonical_id: canonicalId, ids }
+    });
+    res.json({ ok: true, canonical_id: canonicalId, merged: ids.length });
+  }
+);
+
+app.post("/api/admin/ideas/:id/unmerge", requirePermission("ideas"), async (req, res) => {
+  const ideaId = Number(req.params.id);
+  const idea = await get(`SELECT id, duplicate_of FROM ideas WHERE id = ? AND duplicate_of IS NOT NULL`, [ideaId]);
+  if (!idea) return res.status(404).json({ error: "Idée introuvable" });
+
+  await run(`UPDATE ideas SET duplicate_of = NULL WHERE id = ?`, [ideaId]);
+  await audit(req, "idea.unmerge", { targetType: "idea", targetId: ideaId, before: idea, after: { duplicate_of: null } });
+  res.json({ ok: true });
+});
+
+app.patch(
+  "/api/admin/ideas/:id",
+  requirePermission("ideas"),
+  body("status").isIn(Object.keys(IDEA_STATUSES)),
+  body("comment").optional({ nullable: true }).isString().isLength({ max: 300 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const ideaId = Number(req.params.id);
+    const idea = await get(`SELECT id, status FROM ideas WHERE id = ?`, [ideaId]);
+    if (!idea) return res.status(404).json({ error: "Idée introuvable" });
+
+    const to = req.body.status;
+    const allowed = IDEA_TRANSITIONS[idea.status] || [];
+    if (!allowed.includes(to)) {
+      return res.status(409).json({
+        error: `Transition impossible : ${ideaStatusLabel(idea.status)} → ${ideaStatusLabel(to)}`
+      });
+    }
+
+    const comment = req.body.comment ? cleanText(req.body.comment, 300) : null;
+    // Only from the status checked above: a concurrent change makes this a no-op
+    const r = await run(
+      `UPDATE ideas SET status = ?, status_comment = ? WHERE id = ? AND status = ?`,
+      [to, comment || null, ideaId, idea.status]
+    );
+    if (!r.changes) return res.status(409).json({ error: "Le statut a changé entre-temps, recharge la liste" });
+
+    await audit(req, "idea.status", {
+      targetType: "idea",
+      targetId: ideaId,
+      before: { status: idea.status },
+      after: { status: to, comment }
+    });
+    res.json({ ok: true, status: to, status_label: ideaStatusLabel(to) });
+  }
+);
+
+app.post(
+  "/api/admin/ideas/:id/publish",
+  requirePermission("ideas"),
+  body("published").isBoolean(),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const ideaId = Number(req.params.id);
+    const published = req.body.published === true || req.body.published === "true";
+    const before = await get(`SELECT published, published_at FROM ideas WHERE id = ?`, [ideaId]);
+    const r = await run(
+      `UPDATE ideas SET published = ?, published_at = CASE WHEN ? THEN COALESCE(published_at, ?) ELSE published_at END
+       WHERE id = ? AND ${VISIBLE_IDEA_SQL}`,
+      [published ? 1 : 0, published ? 1 : 0, nowIso(), ideaId]
+    );
+    if (!r.changes) return res.status(404).json({ error: "Idée introuvable" });
+
+    await audit(req, "idea.publish", { targetType: "idea", targetId: ideaId, before, after: { published } });
+    res.json({ ok: true, published });
+  }
+);
+
+app.post(
+  "/api/admin/ideas/:id/replies",
+  requirePermission("ideas"),
+  body("body").isString().isLength({ min: 2, max: 600 }),
+  body("visibility").isIn(["private", "public"]),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const ideaId = Number(req.params.id);
+    const idea = await get(`SELECT id, device_hash FROM ideas WHERE id = ?`, [ideaId]);
+    if (!idea) return res.status(404).json({ error: "Idée introuvable" });
+
+    const text = cleanText(req.body.body, 600);
+    const visibility = req.body.visibility;
+    const r = await run(
+      `INSERT INTO idea_replies(idea_id, body, visibility, created_at) VALUES(?, ?, ?, ?)`,
+      [ideaId, text, visibility, nowIso()]
+    );
+
+    // Notify the submitting device only (if it subscribed to push)
+    let push = null;
+    if (canUsePushConfig()) {
+      push = await sendPushToAll({
+        title: "💬 Le CVL a répondu à ton idée",
+        body: text.slice(0, 180),
+        url: "/#boite-idees",
+        tag: `idea-${ideaId}`,
+        ts: nowIso()
+      }, { deviceHash: idea.device_hash });
+    }
+
+    await audit(req, "idea.reply.create", {
+      targetType: "idea",
+      targetId: ideaId,
+      after: { reply_id: r.lastID, body: text, visibility }
+    });
+    res.json({ ok: true, id: r.lastID, push });
+  }
+);
+
+app.delete("/api/admin/ideas/:id/replies/:replyId", requirePermission("ideas"), async (req, res) => {
+  const reply = await get(
+    `SELECT id, idea_id, body, visibility, created_at FROM idea_replies WHERE id = ? AND idea_id = ?`,
+    [Number(req.params.replyId), Number(req.params.id)]
+  );
+  if (!reply) return res.status(404).json({ error: "Réponse introuvable" });
+
+  await run(`DELETE FROM idea_replies WHERE id = ?`, [reply.id]);
+  await audit(req, "idea.reply.delete", { targetType: "idea", targetId: reply.idea_id, before: reply });
+  res.json({ ok: true });
+});
+
+// ======================
+// Admin: sessions
+// ======================
+// Own sessions for everyone; all accounts for those who manage users
+app.get("/api/admin/sessions", requireAdmin, async (req, res) => {
+  const everyone = req.permissions.includes("users") && req.query.all === "1";
+  const rows = await all(
+    `SELECT s.*, u.username, u.display_name
+     FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.revoked_at IS NULL AND s.expires_at > ? ${everyone ? "" : "AND s.user_id = ?"}
+     ORDER BY s.last_seen_at DESC`,
+    everyone ? [nowIso()] : [nowIso(), req.user.id]
+  );
+  res.json(rows.filter(r => sessionIsLive(r)).map(r => ({
+    id: r.id,
+    user_id: r.user_id,
+    username: r.username,
+    display_name: r.display_name,
+    created_at: r.created_at,
+    last_seen_at: r.last_seen_at,
+    expires_at: r.expires_at,
+    ip_hash: r.ip_hash,
+    user_agent: r.user_agent,
+    current: r.id === req.session.id
+  })));
+});
+
+app.delete("/api/admin/sessions/:id", requireAdmin, async (req, res) => {
+  const session = await get(`SELECT id, user_id, created_at, ip_hash, user_agent FROM sessions WHERE id = ? AND revoked_at IS NULL`, [req.params.id]);
+  if (!session) return res.status(404).json({ error: "Session introuvable" });
+  if (session.user_id !== req.user.id && !req.permissions.includes("users")) {
+    return res.status(403).json({ error: "Droits insuffisants" });
+  }
+
+  await run(`UPDATE sessions SET revoked_at = ? WHERE id = ?`, [nowIso(), session.id]);
+  await audit(req, "session.revoke", { targetType: "user", targetId: session.user_id, before: session });
+  if (session.id === req.session.id) clearAuthCookie(res);
+  res.json({ ok: true });
+});
+
+app.post("/api/admin/sessions/revoke-others", requireAdmin, async (req, res) => {
+  await revokeUserSessions(req.user.id, req.session.id);
+  await audit(req, "session.revoke", { targetType: "user", targetId: req.user.id, after: { kept: "current" } });
+  res.json({ ok: true });
+});
+
+// ======================
+// Admin: login activity + alerts
+// ======================
+const LOGIN_FAILURE_LABELS = {
+  unknown: "Identifiant inconnu",
+  password: "Mauvais mot de passe",
+  disabled: "Compte désactivé",
+  totp: "Mauvais code 2FA",
+  locked: "Refusé (verrouillé)"
+};
+
+app.get("/api/admin/security/logins", requirePermission("dashboard"), async (_req, res) => {
+  const alerts = await all(
+    `SELECT id, kind, key, failures, created_at FROM login_alerts WHERE acknowledged_at IS NULL ORDER BY id DESC LIMIT 50`
+  );
+  const logins = await all(
+    `SELECT a.id, a.username, u.display_name, a.reason, a.ip_hash, a.user_agent, a.created_at
+     FROM login_attempts a LEFT JOIN users u ON u.id = a.user_id
+     WHERE a.success = 1 ORDER BY a.id DESC LIMIT 30`
+  );
+  const failures = await all(
+    `SELECT id, username, reason, ip_hash, user_agent, created_at
+     FROM login_attempts WHERE success = 0 ORDER BY id DESC LIMIT 30`
+  );
+  const failures24h = await get(
+    `SELECT COUNT(*) AS n FROM login_attempts WHERE success = 0 AND created_at > ?`,
+    [new Date(Date.now() - 24 * 3600 * 1000).toISOString()]
+  );
+
+  res.json({
+    alerts: alerts.map(a => ({
+      ...a,
+      label: a.kind === "ip" ? `${a.failures} échecs depuis une même IP (${a.key})` : `${a.failures} échecs sur le compte « ${a.key} »`
+    })),
+    logins: logins.map(l => ({ ...l, method: l.reason === "recovery" ? "code de secours" : l.reason === "totp" ? "2FA" : "mot de passe" })),
+    failures: failures.map(f => ({ ...f, reason_label: LOGIN_FAILURE_LABELS[f.reason] || f.reason })),
+    failures_24h: failures24h?.n ?? 0
+  });
+});
+
+// Same permission as account management: a viewer sees alerts but can't dismiss them
+app.post("/api/admin/security/alerts/:id/ack", requirePermission("users"), async (req, res) => {
+  const alertId = Number(req.params.id);
+  const alert = await get(`SELECT * FROM login_alerts WHERE id = ? AND acknowledged_at IS NULL`, [alertId]);
+  if (!alert) return res.status(404).json({ error: "Alerte introuvable" });
+
+  await run(`UPDATE login_alerts SET acknowledged_at = ?, acknowledged_by = ? WHERE id = ?`, [nowIso(), req.user.id, alertId]);
+  await audit(req, "security.ack", { targetType: "login_alert", targetId: alertId, before: alert });
+  res.json({ ok: true });
+});
+
+// ======================
+// Admin: audit log
+// ======================
+app.get(
+  "/api/admin/audit",
+  requirePermission("dashboard"),
+  query("user_id").optional().isInt({ min: 1 }),
+  query("action").optional().isString().isLength({ max: 40 }),
+  query("target_type").optional().isString().isLength({ max: 20 }),
+  query("target_id").optional().isString().isLength({ max: 60 }),
+  query("from").optional().isISO8601(),
+  query("to").optional().isISO8601(),
+  query("before").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 200 }),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const q = req.query;
+    const where = ["1 = 1"];
+    const params = [];
+    if (q.user_id) { where.push("user_id = ?"); params.push(Number(q.user_id)); }
+    // "idea" matches idea.status, idea.merge, ...
+    if (q.action) { where.push("(action = ? OR action LIKE ?)"); params.push(q.action, `${q.action}.%`); }
+    if (q.target_type) { where.push("target_type = ?"); params.push(q.target_type); }
+    if (q.target_id) { where.push("target_id = ?"); params.push(q.target_id); }
+    if (q.from) { where.push("created_at >= ?"); params.push(new Date(q.from).toISOString()); }
+    if (q.to) {
+      // "to" as a bare date includes that whole day
+      const end = new Date(q.to);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(q.to)) end.setUTCDate(end.getUTCDate() + 1);
+      where.push("created_at < ?");
+      params.push(end.toISOString());
+    }
+    if (q.before) { where.push("id < ?"); params.push(Number(q.before)); }
+
+    const limit = Number(q.limit || 50);
+    const rows = await all(
+      `SELECT * FROM audit_log WHERE ${where.join(" AND ")} ORDER BY id DESC LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const page = rows.slice(0, limit);
+    const actors = await all(`SELECT id, username, display_name FROM users ORDER BY username ASC`);
+
+    res.json({
+      actions: AUDIT_ACTIONS,
+      actors,
+      next_before: rows.length > limit ? page[page.length - 1].id : null,
+      items: page.map(r => ({
+        id: r.id,
+        user_id: r.user_id,
+        actor: r.actor,
+        action: r.action,
+        action_label: AUDIT_ACTIONS[r.action] || r.action,
+        target_type: r.target_type,
+        target_id: r.target_id,
+        before: r.before_json ? JSON.parse(r.before_json) : null,
+        after: r.after_json ? JSON.parse(r.after_json) : null,
+        ip_hash: r.ip_hash,
+        created_at: r.created_at
+      }))
+    });
+  }
+);
+
+// ======================
+// Admin: exports (CSV / XLSX)
+// ======================
+app.get(
+  "/api/admin/export/ideas",
+  requirePermission("ideas"),
+  query("format").optional().isIn(["csv", "xlsx"]),
+  ideaFilterValidators,
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const { where, params } = ideaFilterSql(req.query, { includeMerged: true });
+    const rows = await all(
+      `SELECT id, text, category, urgency, status, published, duplicate_of, created_at,
+              ${ideaVotesSql("ideas")} AS votes
+       FROM ideas WHERE ${where.join(" AND ")}
+       ORDER BY id ASC`,
+      params
+    );
+
+    sendExport(res, req.query.format, "idees", [{
+      name: "Idées",
+      rows: [
+        ["N°", "Date", "Catégorie", "Urgence", "Statut", "Idée", "Soutiens", "Sur le mur", "Doublon de"],
+        ...rows.map(r => [
+          r.id,
+          r.created_at.slice(0, 16).replace("T", " "),
+          categoryLabel(r.category),
+          r.urgency,
+          ideaStatusLabel(r.status),
+          r.text,
+          r.votes,
+          r.published ? "oui" : "non",
+          r.duplicate_of ?? ""
+        ])
+      ]
+    }]);
+  }
+);
+
+app.get(
+  "/api/admin/export/polls/:id",
+  requirePermission("polls"),
+  query("format").optional().isIn(["csv", "xlsx"]),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const pollId = Number(req.params.id);
+    const p = await get(`SELECT id, question, options_json, kind, max_choices, created_at FROM poll WHERE id = ?`, [pollId]);
+    if (!p) return res.status(404).json({ error: "Sondage introuvable" });
+
+    const options = JSON.parse(p.options_json);
+    const ballots = await pollBallots(pollId);
+    const tally = tallyPoll(p, ballots);
+    const total = tally.total;
+
+    // Votes per day and per option (same counting rule as the results)
+    const days = [...new Set(ballots.map(b => b.created_at.slice(0, 10)))].sort();
+    const cell = new Map();
+    for (const b of ballots) {
+      for (const idx of p.kind === "multiple" ? b.choices : b.choices.slice(0, 1)) {
+        const key = `${b.created_at.slice(0, 10)}:${idx}`;
+        cell.set(key, (cell.get(key) || 0) + 1);
+      }
+    }
+
+    const heading = { single: "Votes", multiple: "Sélections", ranked: "1er choix" }[p.kind];
+    const sheets = [
+      {
+        name: "Résultats",
+        rows: [
+          ["Option", heading, "%"],
+          ...tally.results.map(r => [r.label, r.votes, total ? Math.round((r.votes / total) * 1000) / 10 : 0]),
+          p.kind === "single" ? ["Total", total, total ? 100 : 0] : ["Votants", total],
+          [],
+          ["Question", p.question],
+          ["Type", POLL_KINDS[p.kind] + (p.kind === "multiple" ? ` (${p.max_choices} max)` : "")],
+          ["Créé le", p.created_at.slice(0, 10)],
+          ...(p.kind === "ranked" && total
+            ? [["Vainqueur", tally.winner !== null ? options[tally.winner] : `Égalité : ${tally.tied.map(i => options[i]).join(", ")}`]]
+            : [])
+        ]
+      },
+      {
+        name: "Chronologie",
+        rows: [
+          ["Jour", ...options, "Total du jour"],
+          ...days.map(day => {
+            const perOption = options.map((_, idx) => cell.get(`${day}:${idx}`) || 0);
+            return [day, ...perOption, perOption.reduce((a, n) => a + n, 0)];
+          })
+        ]
+      }
+    ];
+
+    // One column per instant-runoff round; empty once the option is eliminated
+    if (p.kind === "ranked" && total) {
+      sheets.push({
+        name: "Tours",
+        rows: [
+          ["Option", ...tally.rounds.map(r => `Tour ${r.round}`)],
+          ...options.map((label, idx) => [
+            label,
+            ...tally.rounds.map(r => {
+              const row = r.results.find(x => x.index === idx);
+              return row ? row.votes : "";
+            })
+          ]),
+          ["Bulletins épuisés", ...tally.rounds.map(r => r.exhausted)],
+          ["Éliminé(s)", ...tally.rounds.map(r => r.eliminated.map(i => options[i]).join(", "))]
+        ]
+      });
     }
 
-    res.json({ ok: true });
+    sendExport(res, req.query.format, `sondage-${pollId}`, sheets);
   }
 );
 
-app.get("/api/public/info", async (_req, res) => {
-  const rows = await all(`SELECT key, text, url FROM info_blocks`);
-  const obj = {};
-  for (const r of rows) obj[r.key] = { text: r.text, url: r.url };
-  res.json({
-    jpo: obj.jpo || null,
-    mini_stages: obj.mini_stages || null,
-    science_weekly: obj.science_weekly || null,
-    cycle_mauriac: obj.cycle_mauriac || null,
-    region_aides: obj.region_aides || null
-  });
-});
-
-
 // ======================
-// Push API
+// Admin: idea categories
 // ======================
-app.get("/api/push/public-key", (_req, res) => {
-  if (!VAPID_PUBLIC_KEY) return res.status(501).json({ error: "Push non configuré (VAPID_PUBLIC_KEY)" });
-  res.json({ publicKey: VAPID_PUBLIC_KEY });
+app.get("/api/admin/categories", requirePermission("ideas"), async (_req, res) => {
+  const rows = await all(
+    `SELECT c.slug, c.label, c.emoji, c.position, c.active, COUNT(i.id) AS ideas
+     FROM idea_categories c
+     LEFT JOIN ideas i ON i.category = c.slug
+     GROUP BY c.slug
+     ORDER BY c.position ASC, c.label ASC`
+  );
+  res.json(rows.map(r => ({ ...r, active: !!r.active })));
 });
 
 app.post(
-  "/api/push/subscribe",
-  body("subscription").isObject(),
-  body("subscription.endpoint").isString().isLength({ min: 10, max: 2000 }),
-  body("subscription.keys").isObject(),
-  body("subscription.keys.p256dh").isString().isLength({ min: 10, max: 300 }),
-  body("subscription.keys.auth").isString().isLength({ min: 10, max: 300 }),
+  "/api/admin/categories",
+  requirePermission("ideas"),
+  body("slug").isString().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).isLength({ min: 2, max: 40 }),
+  body("label").isString().isLength({ min: 2, max: 40 }),
+  body("emoji").optional({ nullable: true }).isString().isLength({ max: 8 }),
+  body("position").optional().isInt({ min: 0, max: 10000 }),
+  body("active").optional().isBoolean(),
   async (req, res) => {
     const errors = validationErrors(req);
     if (errors) return res.status(400).json({ error: errors });
 
-    const sub = req.body.subscription;
-    const endpoint = String(sub.endpoint);
-    const ua = cleanText(req.get("User-Agent") || "", 220);
-    const now = nowIso();
+    const slug = req.body.slug;
+    if (categoryCache.has(slug)) return res.status(409).json({ error: "Catégorie déjà existante" });
 
+    const maxPos = Math.max(0, ...Array.from(categoryCache.values(), c => c.position));
     await run(
-      `INSERT INTO push_subscriptions(endpoint, subscription_json, device_hash, user_agent, created_at, updated_at)
-       VALUES(?, ?, ?, ?, ?, ?)
-       ON CONFLICT(endpoint) DO UPDATE SET
-         subscription_json=excluded.subscription_json,
-         device_hash=excluded.device_hash,
-         user_agent=excluded.user_agent,
-         updated_at=excluded.updated_at`,
-      [endpoint, JSON.stringify(sub), req.deviceHash, ua, now, now]
+      `INSERT INTO idea_categories(slug, label, emoji, position, active, created_at) VALUES(?, ?, ?, ?, ?, ?)`,
+      [
+        slug,
+        cleanText(req.body.label, 40),
+        req.body.emoji ? cleanText(req.body.emoji, 8) : null,
+        req.body.position !== undefined ? Number(req.body.position) : maxPos + 10,
+        req.body.active === false || req.body.active === "false" ? 0 : 1,
+        nowIso()
+      ]
     );
-
-    res.json({ ok: true });
+    await reloadCategories();
+    await audit(req, "category.create", { targetType: "category", targetId: slug, after: categoryCache.get(slug) });
+    res.json({ ok: true, slug });
   }
 );
 
-app.post(
-  "/api/push/send",
-  requireAdmin,
-  body("title").isString().isLength({ min: 1, max: 60 }),
-  body("body").isString().isLength({ min: 1, max: 180 }),
-  body("url").optional({ nullable: true }).isString().isLength({ max: 300 }),
-  body("tag").optional({ nullable: true }).isString().isLength({ max: 60 }),
+app.patch(
+  "/api/admin/categories/:slug",
+  requirePermission("ideas"),
+  body("label").optional().isString().isLength({ min: 2, max: 40 }),
+  body("emoji").optional({ nullable: true }).isString().isLength({ max: 8 }),
+  body("position").optional().isInt({ min: 0, max: 10000 }),
+  body("active").optional().isBoolean(),
   async (req, res) => {
     const errors = validationErrors(req);
     if (errors) return res.status(400).json({ error: errors });
 
-    const payload = {
-      title: cleanText(req.body.title, 60),
-      body: cleanText(req.body.body, 180),
-      url: req.body.url ? String(req.body.url).trim() : "/",
-      tag: req.body.tag ? String(req.body.tag).trim() : "cvl",
-      ts: nowIso()
-    };
-
-    const result = await sendPushToAll(payload);
-    if (result.disabled) return res.status(501).json({ error: "Push non configuré (VAPID_*)" });
+    const current = categoryCache.get(req.params.slug);
+    if (!current) return res.status(404).json({ error: "Catégorie introuvable" });
 
-    res.json({ ok: true, ...result });
+    await run(
+      `UPDATE idea_categories SET label = ?, emoji = ?, position = ?, active = ? WHERE slug = ?`,
+      [
+        req.body.label !== undefined ? cleanText(req.body.label, 40) : current.label,
+        req.body.emoji !== undefined ? (req.body.emoji ? cleanText(req.body.emoji, 8) : null) : current.emoji,
+        req.body.position !== undefined ? Number(req.body.position) : current.position,
+        req.body.active !== undefined ? (req.body.active === true || req.body.active === "true" ? 1 : 0) : current.active,
+        current.slug
+      ]
+    );
+    await reloadCategories();
+    await audit(req, "category.update", {
+      targetType: "category",
+      targetId: current.slug,
+      before: current,
+      after: categoryCache.get(current.slug)
+    });
+    res.json({ ok: true });
   }
 );
 
-// ======================
-// Admin stats API
-// ======================
-app.get("/api/stats", requireAdmin, async (_req, res) => {
-  const ideasTotal = await get(`SELECT COUNT(*) AS n FROM ideas`);
-  const ideasByStatus = await all(`SELECT status, COUNT(*) AS n FROM ideas GROUP BY status ORDER BY n DESC`);
-  const votesTotal = await get(`SELECT COUNT(*) AS n FROM poll_votes`);
-  const newsTotal = await get(`SELECT COUNT(*) AS n FROM news`);
+// Only unused categories can be deleted; others are retired with active = false
+app.delete("/api/admin/categories/:slug", requirePermission("ideas"), async (req, res) => {
+  const slug = req.params.slug;
+  if (!categoryCache.has(slug)) return res.status(404).json({ error: "Catégorie introuvable" });
 
-  const polls = await all(
-    `SELECT p.id, p.question, p.active, p.created_at, COUNT(v.id) AS votes
-     FROM poll p
-     LEFT JOIN poll_votes v ON v.poll_id = p.id
-     GROUP BY p.id
-     ORDER BY p.id DESC
-     LIMIT 10`
-  );
+  const used = await get(`SELECT COUNT(*) AS n FROM ideas WHERE category = ?`, [slug]);
+  if (used?.n) return res.status(409).json({ error: "Catégorie utilisée par des idées : désactive-la plutôt" });
 
-  const last14 = await all(
-    `SELECT day, COUNT(*) AS n
-     FROM daily_connections
-     WHERE day >= date('now', '-13 day')
-     GROUP BY day
-     ORDER BY day ASC`
-  );
+  const before = categoryCache.get(slug);
+  await run(`DELETE FROM idea_categories WHERE slug = ?`, [slug]);
+  await reloadCategories();
+  await audit(req, "category.delete", { targetType: "category", targetId: slug, before });
+  res.json({ ok: true });
+});
 
-  res.json({
-    ideas: { total: ideasTotal?.n ?? 0, byStatus: ideasByStatus.map(r => ({ status: r.status, count: r.n })) },
-    votes: { total: votesTotal?.n ?? 0 },
-    news: { total: newsTotal?.n ?? 0 },
-    polls: polls.map(p => ({ id: p.id, question: p.question, active: !!p.active, created_at: p.created_at, votes: p.votes })),
-    dailyConnections: last14.map(r => ({ day: r.day, count: r.n }))
-  });
+// Moderation review queue
+app.get("/api/admin/moderation", requirePermission("ideas"), async (_req, res) => {
+  const rows = await all(
+    `SELECT id, text, category, urgency, moderation_reasons, created_at
+     FROM ideas WHERE moderation_status = 'quarantined'
+     ORDER BY id ASC LIMIT 200`
+  );
+  res.json(rows.map(r => {
+    const reasons = r.moderation_reasons ? JSON.parse(r.moderation_reasons) : [];
+    return {
+      id: r.id,
+      text: r.text,
+      category: r.category,
+      category_label: categoryLabel(r.category),
+      urgency: r.urgency,
+      created_at: r.created_at,
+      reasons: reasons.map(code => ({ code, label: MODERATION_REASON_LABELS[code] || code }))
+    };
+  }));
 });
 
-// ======================
-// Auth
-// ======================
 app.post(
-  "/api/auth/login",
-  body("password").isString().isLength({ min: 6, max: 128 }),
+  "/api/admin/moderation/:id",
+  requirePermission("ideas"),
+  body("decision").isIn(["approve", "reject"]),
   async (req, res) => {
     const errors = validationErrors(req);
     if (errors) return res.status(400).json({ error: errors });
 
-    if (!ADMIN_PASSWORD_HASH) {
-      return res.status(500).json({ error: "ADMIN_PASSWORD_HASH non configuré" });
-    }
-
-    const ok = await bcrypt.compare(String(req.body.password), ADMIN_PASSWORD_HASH);
-    if (!ok) return res.status(401).json({ error: "Identifiants invalides" });
+    const decision = req.body.decision === "approve" ? "approved" : "rejected";
+    const r = await run(
+      `UPDATE ideas SET moderation_status = ?, moderated_at = ? WHERE id = ? AND moderation_status = 'quarantined'`,
+      [decision, nowIso(), Number(req.params.id)]
+    );
+    if (!r.changes) return res.status(404).json({ error: "Idée introuvable dans la file de modération" });
 
-    const token = signAdminToken();
-    setAuthCookie(res, token);
-    res.json({ ok: true });
+    await audit(req, "moderation.decide", {
+      targetType: "idea",
+      targetId: Number(req.params.id),
+      before: { moderation_status: "quarantined" },
+      after: { moderation_status: decision }
+    });
+    res.json({ ok: true, moderation_status: decision });
   }
 );
 
-app.post("/api/auth/logout", (_req, res) => {
-  clearAuthCookie(res);
-  res.json({ ok: true });
-});
+app.get("/api/admin/ideas/:id/history", requirePermission("ideas"), async (req, res) => {
+  const ideaId = Number(req.params.id);
+  const idea = await get(`SELECT id FROM ideas WHERE id = ?`, [ideaId]);
+  if (!idea) return res.status(404).json({ error: "Idée introuvable" });
 
-// ======================
-// Admin API
-// ======================
-app.get("/api/admin/me", requireAdmin, (_req, res) => res.json({ admin: true }));
+  const rows = await all(
+    `SELECT from_status, to_status, comment, created_at FROM idea_status_history WHERE idea_id = ? ORDER BY id ASC`,
+    [ideaId]
+  );
+  res.json(rows.map(r => ({
+    ...r,
+    from_label: ideaStatusLabel(r.from_status),
+    to_label: ideaStatusLabel(r.to_status)
+  })));
+});
 
-app.get("/api/admin/ideas", requireAdmin, async (_req, res) => {
+// Admin view: scheduled and expired items included
+app.get("/api/admin/news", requirePermission("news"), async (_req, res) => {
   const rows = await all(
-    `SELECT id, text, category, urgency, status, created_at FROM ideas ORDER BY id DESC LIMIT 500`
-  );
-  const map = {
-    "vie-scolaire": "Vie scolaire",
-    "cantine": "Cantine",
-    "ecologie": "Écologie",
-    "clubs-evenements": "Clubs & événements",
-    "materiel": "Matériel",
-    "autre": "Autre"
-  };
-  res.json(rows.map(r => ({ ...r, category_label: map[r.category] || r.category })));
+    `SELECT id, title, description, pinned, created_at, updated_at, publish_at, expires_at, pushed_at
+     FROM news
+     ORDER BY pinned DESC, COALESCE(publish_at, created_at) DESC, id DESC
+     LIMIT 200`
+  );
+  const now = nowIso();
+  res.json(await withNewsFiles(rows.map(r => ({ ...r, pinned: !!r.pinned, status: newsStatus(r, now) })), "/admin/uploads/news"));
 });
 
+// Same renderer as the public list, so the modal preview is exactly what readers will get
+app.post(
+  "/api/admin/news/preview",
+  requirePermission("news"),
+  body("description").isString().isLength({ max: 800 }),
+  (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+    res.json({ html: renderNewsMarkdown(cleanText(req.body.description, 800)) });
+  }
+);
+
+const newsScheduleValidators = [
+  body("pinned").optional().isBoolean(),
+  body("publish_at").optional({ nullable: true }).isISO8601(),
+  body("expires_at").optional({ nullable: true }).isISO8601()
+];
+
+function newsScheduleError(publishAt, expiresAt, createdAt) {
+  if (expiresAt && expiresAt <= (publishAt || createdAt)) return "La date d'expiration doit suivre la publication";
+  return null;
+}
+
 app.post(
   "/api/admin/news",
-  requireAdmin,
+  requirePermission("news"),
   body("title").isString().isLength({ min: 3, max: 80 }),
   body("description").isString().isLength({ min: 10, max: 800 }),
+  ...newsScheduleValidators,
   async (req, res) => {
     const errors = validationErrors(req);
     if (errors) return res.status(400).json({ error: errors });
 
+    const now = nowIso();
     const title = cleanText(req.body.title, 80);
     const description = cleanText(req.body.description, 800);
-    await run(`INSERT INTO news(title, description, created_at) VALUES(?, ?, ?)`, [title, description, nowIso()]);
+    const pinned = req.body.pinned === true || req.body.pinned === "true";
+    // A past publish_at just means "now"
+    const requested = toIsoOrNull(req.body.publish_at);
+    const publishAt = requested && requested > now ? requested : null;
+    const expiresAt = toIsoOrNull(req.body.expires_at);
+    const scheduleError = newsScheduleError(publishAt, expiresAt, now);
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
 
-    // Auto-push (if configured)
-    if (canUsePushConfig()) {
-      await sendPushToAll({
-        title: "📰 Nouvelle actualité",
-        body: title,
-        url: "/#actualites",
-        tag: "news",
-        ts: nowIso()
-      });
+    const r = await run(
+      `INSERT INTO news(title, description, created_at, pinned, publish_at, expires_at) VALUES(?, ?, ?, ?, ?, ?)`,
+      [title, description, now, pinned ? 1 : 0, publishAt, expiresAt]
+    );
+    await audit(req, "news.create", {
+      targetType: "news",
+      targetId: r.lastID,
+      after: { title, description, pinned, publish_at: publishAt, expires_at: expiresAt }
+    });
+
+    // Auto-push (if configured) when already visible; scheduled items wait for publishDueNews
+    await publishDueNews();
+
+    res.json({ ok: true, id: r.lastID, status: newsStatus({ publish_at: publishAt, expires_at: expiresAt }) });
+  }
+);
+
+app.patch(
+  "/api/admin/news/:id",
+  requirePermission("news"),
+  body("title").optional().isString().isLength({ min: 3, max: 80 }),
+  body("description").optional().isString().isLength({ min: 10, max: 800 }),
+  ...newsScheduleValidators,
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const id = Number(req.params.id);
+    const news = await get(`SELECT * FROM news WHERE id = ?`, [id]);
+    if (!news) return res.status(404).json({ error: "Actualité introuvable" });
+
+    const now = nowIso();
+    const title = req.body.title !== undefined ? cleanText(req.body.title, 80) : news.title;
+    const description = req.body.description !== undefined ? cleanText(req.body.description, 800) : news.description;
+    const pinned = req.body.pinned === undefined ? !!news.pinned : req.body.pinned === true || req.body.pinned === "true";
+    let publishAt = news.publish_at;
+    if (req.body.publish_at !== undefined) {
+      const requested = toIsoOrNull(req.body.publish_at);
+      // Clearing the date of a still-scheduled item publishes it now, not at its creation date
+      publishAt = requested || (news.publish_at && news.publish_at > now ? now : news.publish_at);
     }
+    const expiresAt = req.body.expires_at !== undefined ? toIsoOrNull(req.body.expires_at) : news.expires_at;
+    const scheduleError = newsScheduleError(publishAt, expiresAt, news.created_at);
+    if (scheduleError) return res.status(400).json({ error: scheduleError });
 
-    res.json({ ok: true });
+    await run(
+      `UPDATE news SET title = ?, description = ?, pinned = ?, publish_at = ?, expires_at = ?, updated_at = ? WHERE id = ?`,
+      [title, description, pinned ? 1 : 0, publishAt, expiresAt, now, id]
+    );
+    await audit(req, "news.update", {
+      targetType: "news",
+      targetId: id,
+      before: { title: news.title, description: news.description, pinned: !!news.pinned, publish_at: news.publish_at, expires_at: news.expires_at },
+      after: { title, description, pinned, publish_at: publishAt, expires_at: expiresAt }
+    });
+
+    // Moved back to "now": push it (only once, already-pushed items stay quiet)
+    await publishDueNews();
+
+    res.json({ ok: true, status: newsStatus({ publish_at: publishAt, expires_at: expiresAt }) });
+  }
+);
+
+app.delete("/api/admin/news/:id", requirePermission("news"), async (req, res) => {
+  const id = Number(req.params.id);
+  const news = await get(`SELECT id, title, description, publish_at, expires_at FROM news WHERE id = ?`, [id]);
+  if (!news) return res.status(404).json({ error: "Actualité introuvable" });
+
+  const files = await all(`SELECT id, file_name, thumb_name FROM news_files WHERE news_id = ?`, [id]);
+  await run(`DELETE FROM news WHERE id = ?`, [id]);
+  for (const f of files) await deleteNewsFile(f);
+  await audit(req, "news.delete", { targetType: "news", targetId: id, before: news });
+  res.json({ ok: true });
+});
+
+// Cover image: re-encoded like idea photos, replaces the previous one
+app.post(
+  "/api/admin/news/:id/cover",
+  requirePermission("news"),
+  uploadFiles("image", 1, NEWS_FILE_MAX_BYTES),
+  async (req, res) => {
+    const id = Number(req.params.id);
+    const news = await get(`SELECT id FROM news WHERE id = ?`, [id]);
+    if (!news) return res.status(404).json({ error: "Actualité introuvable" });
+    const file = (req.files || [])[0];
+    if (!file) return res.status(400).json({ error: "Aucune image envoyée" });
+
+    const img = await processImage(file.buffer, { thumbSize: 480 });
+    if (img.error) {
+      const [status, error] = IMAGE_ERRORS[img.error];
+      return res.status(status).json({ error });
+    }
+
+    const previous = await get(`SELECT id, file_name, thumb_name FROM news_files WHERE news_id = ? AND kind = 'cover'`, [id]);
+    const name = uploadName(file, "jpg");
+    const written = [];
+    let r;
+    try {
+      written.push(await saveUpload("news", img.data, "jpg"));
+      written.push(await saveUpload("news", img.thumb, "jpg"));
+      // OR REPLACE + the one-cover index: the old row goes in the same statement
+      r = await run(
+        `INSERT OR REPLACE INTO news_files(news_id, kind, file_name, thumb_name, original_name, mime, width, height, size, created_at)
+         VALUES(?, 'cover', ?, ?, ?, 'image/jpeg', ?, ?, ?, ?)`,
+        [id, written[0], written[1], name, img.width, img.height, img.data.length, nowIso()]
+      );
+    } catch (e) {
+      console.error("News cover upload failed", e);
+      for (const f of written) await removeUpload("news", f);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+    if (previous) {
+      await removeUpload("news", previous.file_name);
+      await removeUpload("news", previous.thumb_name);
+    }
+    await audit(req, "news.file.add", { targetType: "news", targetId: id, after: { kind: "cover", file_id: r.lastID, name } });
+    res.json({ ok: true, id: r.lastID });
+  }
+);
+
+// Attachments: PDF kept as is (type checked on content), images re-encoded with a thumbnail
+app.post(
+  "/api/admin/news/:id/attachments",
+  requirePermission("news"),
+  uploadFiles("files", NEWS_ATTACHMENTS_MAX, NEWS_FILE_MAX_BYTES),
+  async (req, res) => {
+    const id = Number(req.params.id);
+    const news = await get(`SELECT id FROM news WHERE id = ?`, [id]);
+    if (!news) return res.status(404).json({ error: "Actualité introuvable" });
+    const files = req.files || [];
+    if (!files.length) return res.status(400).json({ error: "Aucun fichier envoyé" });
+
+    const existing = await get(`SELECT COUNT(*) AS n FROM news_files WHERE news_id = ? AND kind = 'attachment'`, [id]);
+    if ((existing?.n ?? 0) + files.length > NEWS_ATTACHMENTS_MAX) {
+      return res.status(400).json({ error: `${NEWS_ATTACHMENTS_MAX} pièces jointes maximum` });
+    }
+
+    // Everything is checked before anything is written
+    const prepared = [];
+    for (const file of files) {
+      if (isPdf(file.buffer)) {
+        prepared.push({ data: file.buffer, ext: "pdf", mime: "application/pdf", name: uploadName(file, "pdf") });
+        continue;
+      }
+      if (!sniffImageType(file.buffer)) return res.status(415).json({ error: "Format non supporté (PDF, JPEG, PNG, WebP ou GIF)" });
+      const img = await processImage(file.buffer);
+      if (img.error) {
+        const [status, error] = IMAGE_ERRORS[img.error];
+        return res.status(status).json({ error });
+      }
+      prepared.push({ data: img.data, thumb: img.thumb, ext: "jpg", mime: "image/jpeg", name: uploadName(file, "jpg"), width: img.width, height: img.height });
+    }
+
+    // Files first, then one INSERT for every row; written files are removed on failure
+    const written = [];
+    try {
+      for (const f of prepared) {
+        f.fileName = await saveUpload("news", f.data, f.ext);
+        written.push(f.fileName);
+        f.thumbName = f.thumb ? await saveUpload("news", f.thumb, "jpg") : null;
+        if (f.thumbName) written.push(f.thumbName);
+      }
+      await run(
+        `INSERT INTO news_files(news_id, kind, file_name, thumb_name, original_name, mime, width, height, size, created_at)
+         VALUES ${prepared.map(() => "(?, 'attachment', ?, ?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+        prepared.flatMap(f => [id, f.fileName, f.thumbName, f.name, f.mime, f.width ?? null, f.height ?? null, f.data.length, nowIso()])
+      );
+    } catch (e) {
+      console.error("News attachments upload failed", e);
+      for (const f of written) await removeUpload("news", f);
+      return res.status(500).json({ error: "Erreur serveur" });
+    }
+    const rows = await all(
+      `SELECT id, file_name FROM news_files WHERE file_name IN (${prepared.map(() => "?").join(",")})`,
+      prepared.map(f => f.fileName)
+    );
+    const ids = prepared.map(f => rows.find(row => row.file_name === f.fileName).id);
+    await audit(req, "news.file.add", {
+      targetType: "news",
+      targetId: id,
+      after: { kind: "attachment", files: prepared.map((f, i) => ({ file_id: ids[i], name: f.name })) }
+    });
+    res.json({ ok: true, ids });
   }
 );
 
+app.delete("/api/admin/news/:id/files/:fileId", requirePermission("news"), async (req, res) => {
+  const file = await get(
+    `SELECT id, kind, file_name, thumb_name, original_name FROM news_files WHERE id = ? AND news_id = ?`,
+    [Number(req.params.fileId), Number(req.params.id)]
+  );
+  if (!file) return res.status(404).json({ error: "Fichier introuvable" });
+
+  await deleteNewsFile(file);
+  await audit(req, "news.file.delete", {
+    targetType: "news",
+    targetId: Number(req.params.id),
+    before: { kind: file.kind, file_id: file.id, name: file.original_name }
+  });
+  res.json({ ok: true });
+});
+
+// Several polls can be open at once; opens_at / closes_at are optional
 app.post(
   "/api/admin/poll",
-  requireAdmin,
+  requirePermission("polls"),
   body("question").isString().isLength({ min: 5, max: 140 }),
   body("options").isArray({ min: 2, max: 8 }),
   body("options.*").isString().isLength({ min: 1, max: 60 }),
+  body("kind").optional().isIn(Object.keys(POLL_KINDS)),
+  body("max_choices").optional({ nullable: true }).isInt({ min: 1, max: 8 }),
+  body("opens_at").optional({ nullable: true }).isISO8601(),
+  body("closes_at").optional({ nullable: true }).isISO8601(),
   async (req, res) => {
     const errors = validationErrors(req);
     if (errors) return res.status(400).json({ error: errors });
 
+    const now = nowIso();
     const question = cleanText(req.body.question, 140);
     const options = req.body.options.map(o => cleanText(o, 60));
+    const kind = req.body.kind || "single";
+    // "Pick up to N": defaults to every option
+    const maxChoices = kind === "multiple" ? Number(req.body.max_choices || options.length) : null;
+    if (maxChoices > options.length) {
+      return res.status(400).json({ error: "Le nombre de choix dépasse le nombre d'options" });
+    }
+    const requested = toIsoOrNull(req.body.opens_at);
+    const opensAt = requested && requested > now ? requested : null;
+    const closesAt = toIsoOrNull(req.body.closes_at);
+    if (closesAt && closesAt <= (opensAt || now)) {
+      return res.status(400).json({ error: "La date de clôture doit suivre l'ouverture" });
+    }
 
-    // deactivate previous
-    await run(`UPDATE poll SET active = 0 WHERE active = 1`);
-    await run(
-      `INSERT INTO poll(question, options_json, active, created_at) VALUES(?, ?, 1, ?)`,
-      [question, JSON.stringify(options), nowIso()]
+    const r = await run(
+      `INSERT INTO poll(question, options_json, kind, max_choices, active, created_at, opens_at, closes_at)
+       VALUES(?, ?, ?, ?, 1, ?, ?, ?)`,
+      [question, JSON.stringify(options), kind, maxChoices, now, opensAt, closesAt]
     );
+    await audit(req, "poll.create", {
+      targetType: "poll",
+      targetId: r.lastID,
+      after: { question, options, kind, max_choices: maxChoices, opens_at: opensAt, closes_at: closesAt }
+    });
 
-    // Auto-push (if configured)
-    if (canUsePushConfig()) {
-      await sendPushToAll({
-        title: "📊 Nouveau sondage",
-        body: question,
-        url: "/#sondage",
-        tag: "poll",
-        ts: nowIso()
-      });
+    // Auto-push (if configured) when already open; scheduled polls wait for openDuePolls
+    await openDuePolls();
+
+    res.json({ ok: true, id: r.lastID, status: pollStatus({ active: 1, opens_at: opensAt, closes_at: closesAt }) });
+  }
+);
+
+app.get("/api/admin/polls", requirePermission("polls"), async (_req, res) => {
+  const rows = await all(`SELECT * FROM poll ORDER BY id DESC LIMIT 50`);
+  res.json(await Promise.all(rows.map(p => pollView(p))));
+});
+
+app.post("/api/admin/polls/:id/close", requirePermission("polls"), async (req, res) => {
+  const id = Number(req.params.id);
+  const p = await get(`SELECT * FROM poll WHERE id = ?`, [id]);
+  if (!p) return res.status(404).json({ error: "Sondage introuvable" });
+  if (pollStatus(p) === "closed") return res.status(409).json({ error: "Ce sondage est déjà clos" });
+
+  await run(`UPDATE poll SET active = 0, closed_at = ? WHERE id = ?`, [nowIso(), id]);
+  await audit(req, "poll.close", { targetType: "poll", targetId: id, before: { status: pollStatus(p) } });
+  res.json({ ok: true });
+});
+
+// Reopen a closed poll; a closes_at already past is dropped unless a new one is given
+app.post(
+  "/api/admin/polls/:id/reopen",
+  requirePermission("polls"),
+  body("closes_at").optional({ nullable: true }).isISO8601(),
+  async (req, res) => {
+    const errors = validationErrors(req);
+    if (errors) return res.status(400).json({ error: errors });
+
+    const id = Number(req.params.id);
+    const p = await get(`SELECT * FROM poll WHERE id = ?`, [id]);
+    if (!p) return res.status(404).json({ error: "Sondage introuvable" });
+    if (pollStatus(p) !== "closed") return res.status(409).json({ error: "Ce sondage n'est pas clos" });
+
+    const now = nowIso();
+    let closesAt = req.body.closes_at !== undefined ? toIsoOrNull(req.body.closes_at) : p.closes_at;
+    if (closesAt && closesAt <= now) {
+      if (req.body.closes_at) return res.status(400).json({ error: "La date de clôture doit être dans le futur" });
+      closesAt = null;
     }
 
+    await run(`UPDATE poll SET active = 1, closed_at = NULL, closes_at = ? WHERE id = ?`, [closesAt, id]);
+    await audit(req, "poll.reopen", {
+      targetType: "poll",
+      targetId: id,
+      before: { closes_at: p.closes_at, closed_at: p.closed_at },
+      after: { closes_at: closesAt }
+    });
     res.json({ ok: true });
   }
 );
 
 app.post(
   "/api/admin/info",
-  requireAdmin,
+  requirePermission("info"),
   body("key").isIn(["jpo", "mini_stages", "science_weekly", "cycle_mauriac", "region_aides"]),
   body("text").isString().isLength({ min: 10, max: 1200 }),
   body("url").optional({ nullable: true }).isString().isLength({ max: 300 }),
@@ -680,14 +3944,189 @@ app.post(
     const text = cleanText(req.body.text, 1200);
     const url = req.body.url ? String(req.body.url).trim() : null;
 
+    const before = await get(`SELECT text, url FROM info_blocks WHERE key = ?`, [key]);
     await run(
       `INSERT INTO info_blocks(key, text, url) VALUES(?, ?, ?) ON CONFLICT(key) DO UPDATE SET text=excluded.text, url=excluded.url`,
       [key, text, url]
     );
+    await audit(req, "info.update", { targetType: "info", targetId: key, before: before || null, after: { text, url } });
     res.json({ ok: true });
   }
 );
 
+// ======================
+// Admin uploads (outside /api so <img> tags can load them with the auth cookie)
+// ======================
+app.get("/admin/uploads/ideas/:imageId", requirePermission("ideas"), async (req, res) => {
+  const img = await get(`SELECT file_name, thumb_name FROM idea_images WHERE id = ?`, [Number(req.params.imageId)]);
+  if (!img) return res.status(404).json({ error: "Image introuvable" });
+
+  const name = req.query.thumb === "1" ? img.thumb_name : img.file_name;
+  res.setHeader("Cache-Control", "private, max-age=3600");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  res.type("image/jpeg");
+  res.sendFile(path.join(UPLOAD_DIR, "ideas", path.basename(name)), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: "Image introuvable" });
+  });
+});
+
+// ======================
+// News feeds (outside /api: feed readers and the school website send no X-Device-Id)
+// ======================
+// cleanText() output is HTML-escaped; feeds escape again with xmlEscape() / JSON
+function unescapeText(str) {
+  return String(str ?? "")
+    .replaceAll("&lt;", "<")
+    .replaceAll("&gt;", ">")
+    .replaceAll("&quot;", '"')
+    .replaceAll("&#39;", "'")
+    .replaceAll("&amp;", "&");
+}
+
+function feedBaseUrl(req) {
+  return PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+}
+
+async function loadFeedItems(base) {
+  const now = nowIso();
+  const rows = await all(
+    `SELECT id, title, description, COALESCE(publish_at, created_at) AS published_at, updated_at
+     FROM news
+     WHERE ${NEWS_LIVE_SQL}
+     ORDER BY COALESCE(publish_at, created_at) DESC, id DESC
+     LIMIT ${FEED_MAX_ITEMS}`,
+    [now, now]
+  );
+  const absolute = f => f && { ...f, url: `${base}${f.url}` };
+  return (await withNewsFiles(rows)).map(r => ({
+    id: r.id,
+    guid: `urn:cvl:news:${r.id}`, // stable even if the site moves to another host
+    url: `${base}/#actualites/${r.id}`,
+    title: unescapeText(r.title),
+    text: unescapeText(r.description),
+    html: renderNewsMarkdown(r.description),
+    published: r.published_at,
+    updated: r.updated_at && r.updated_at > r.published_at ? r.updated_at : r.published_at,
+    cover: absolute(r.cover),
+    attachments: r.attachments.map(absolute)
+  }));
+}
+
+const NEWS_FEEDS = {
+  rss: {
+    type: "application/rss+xml; charset=utf-8",
+    render: (items, { base, updated }) => `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+<channel>
+<title>${xmlEscape(FEED_TITLE)}</title>
+<link>${xmlEscape(base)}/</link>
+<description>${xmlEscape(FEED_TITLE)}</description>
+<language>fr</language>
+<atom:link href="${xmlEscape(base)}/feeds/news.rss" rel="self" type="application/rss+xml"/>
+<lastBuildDate>${new Date(updated).toUTCString()}</lastBuildDate>
+${items.map(i => `<item>
+<title>${xmlEscape(i.title)}</title>
+<link>${xmlEscape(i.url)}</link>
+<guid isPermaLink="false">${xmlEscape(i.guid)}</guid>
+<pubDate>${new Date(i.published).toUTCString()}</pubDate>
+${i.cover ? `<enclosure url="${xmlEscape(i.cover.url)}" length="${i.cover.size}" type="${i.cover.mime}"/>\n` : ""}<description>${xmlEscape(i.html)}</description>
+</item>`).join("\n")}
+</channel>
+</rss>
+`
+  },
+  atom: {
+    type: "application/atom+xml; charset=utf-8",
+    render: (items, { base, updated }) => `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="fr">
+<title>${xmlEscape(FEED_TITLE)}</title>
+<id>urn:cvl:news</id>
+<link href="${xmlEscape(base)}/"/>
+<link rel="self" href="${xmlEscape(base)}/feeds/news.atom"/>
+<updated>${updated}</updated>
+<author><name>CVL</name></author>
+${items.map(i => `<entry>
+<title>${xmlEscape(i.title)}</title>
+<id>${xmlEscape(i.guid)}</id>
+<link href="${xmlEscape(i.url)}"/>
+${[i.cover, ...i.attachments].filter(Boolean).map(f => `<link rel="enclosure" href="${xmlEscape(f.url)}" type="${f.mime}" length="${f.size}" title="${xmlEscape(f.name)}"/>\n`).join("")}<published>${i.published}</published>
+<updated>${i.updated}</updated>
+<content type="html">${xmlEscape(i.html)}</content>
+</entry>`).join("\n")}
+</feed>
+`
+  },
+  json: {
+    type: "application/feed+json; charset=utf-8",
+    render: (items, { base }) => JSON.stringify({
+      version: "https://jsonfeed.org/version/1.1",
+      title: FEED_TITLE,
+      home_page_url: `${base}/`,
+      feed_url: `${base}/feeds/news.json`,
+      language: "fr",
+      items: items.map(i => ({
+        id: i.guid,
+        url: i.url,
+        title: i.title,
+        content_html: i.html,
+        content_text: i.text,
+        date_published: i.published,
+        date_modified: i.updated,
+        ...(i.cover ? { image: i.cover.url } : {}),
+        ...(i.attachments.length
+          ? { attachments: i.attachments.map(f => ({ url: f.url, mime_type: f.mime, title: f.name, size_in_bytes: f.size })) }
+          : {})
+      }))
+    })
+  }
+};
+
+app.get("/feeds/news.:format", async (req, res) => {
+  const feed = NEWS_FEEDS[req.params.format];
+  if (!feed) return res.status(404).json({ error: "Flux introuvable" });
+
+  const base = feedBaseUrl(req);
+  const items = await loadFeedItems(base);
+  const updated = items.reduce((max, i) => (i.updated > max ? i.updated : max), "1970-01-01T00:00:00.000Z");
+  const body = feed.render(items, { base, updated });
+
+  // ETag covers edits and deletions; Last-Modified for If-Modified-Since clients
+  res.setHeader("ETag", `"${sha256(body).slice(0, 32)}"`);
+  res.setHeader("Last-Modified", new Date(updated).toUTCString());
+  res.setHeader("Cache-Control", "public, max-age=300");
+  // Public content: other sites may fetch it from the browser
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+  if (req.fresh) return res.status(304).end();
+
+  res.type(feed.type).send(body);
+});
+
+// News covers / attachments: public once the news item is published, any time for news editors
+async function sendNewsFile(req, res, { publicOnly }) {
+  const file = await get(
+    `SELECT f.file_name, f.thumb_name, f.original_name, f.mime, f.kind, n.publish_at, n.expires_at
+     FROM news_files f JOIN news n ON n.id = f.news_id
+     WHERE f.id = ?`,
+    [Number(req.params.fileId)]
+  );
+  if (!file || (publicOnly && newsStatus(file) !== "published")) return res.status(404).json({ error: "Fichier introuvable" });
+
+  const thumb = req.query.thumb === "1" && file.thumb_name;
+  res.setHeader("Cache-Control", publicOnly ? "public, max-age=86400" : "private, max-age=3600");
+  res.setHeader("X-Content-Type-Options", "nosniff");
+  if (publicOnly) res.setHeader("Cross-Origin-Resource-Policy", "cross-origin"); // feeds embed covers elsewhere
+  res.type(thumb ? "image/jpeg" : file.mime);
+  // PDFs are downloaded, never rendered inline from our origin
+  if (file.kind === "attachment" && !thumb) res.attachment(file.original_name);
+  res.sendFile(path.join(UPLOAD_DIR, "news", path.basename(thumb ? file.thumb_name : file.file_name)), (err) => {
+    if (err && !res.headersSent) res.status(404).json({ error: "Fichier introuvable" });
+  });
+}
+
+app.get("/uploads/news/:fileId", (req, res) => sendNewsFile(req, res, { publicOnly: true }));
+app.get("/admin/uploads/news/:fileId", requirePermission("news"), (req, res) => sendNewsFile(req, res, { publicOnly: false }));
+
 // ======================
 // Static PWA
 // ======================
@@ -719,6 +4158,11 @@ app.listen(PORT, () => {
   console.log(`CVL Secure running on http://localhost:${PORT}`);
 });
 
+// Scheduled news and polls: push them once they go live
+const runSchedulers = () => Promise.all([publishDueNews(), openDuePolls()]).catch(e => console.error(e));
+runSchedulers();
+setInterval(runSchedulers, NEWS_SCHEDULER_SEC * 1000).unref();
+
 // --------- helpers ---------
 function validationErrors(req) {
   const r = validationResult(req);
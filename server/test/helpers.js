@@ -0,0 +1,111 @@
+// Shared by the node:test files: the real server on a throwaway database
+import { spawn } from "node:child_process";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import bcrypt from "bcryptjs";
+import sqlite3 from "sqlite3";
+
+export const PASSWORD = "test-admin-password";
+export const JWT_SECRET = "test-jwt-secret";
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// One cookie jar + CSRF token per client, like a browser tab
+export function makeClient(base, device = "test-device-admin") {
+  const client = { cookie: "", csrf: "" };
+
+  client.call = async (method, url, { body, headers = {}, csrf = true, device: dev = device } = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        "X-Device-Id": dev,
+        "Content-Type": "application/json",
+        ...(client.cookie ? { Cookie: client.cookie } : {}),
+        ...(csrf && client.csrf ? { "X-CSRF-Token": client.csrf } : {}),
+        ...headers
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const setCookie = res.headers.getSetCookie();
+    if (setCookie.length) client.cookie = setCookie.map(c => c.split(";")[0]).join("; ");
+    const data = (res.headers.get("content-type") || "").includes("application/json") ? await res.json() : await res.text();
+    if (data && typeof data === "object" && data.csrf_token) client.csrf = data.csrf_token;
+    return { status: res.status, data, headers: res.headers };
+  };
+
+  client.login = (username, password = PASSWORD) =>
+    client.call("POST", "/api/auth/login", { body: { username, password } });
+
+  return client;
+}
+
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cvl-test-"));
+  const port = await freePort();
+  const base = `http://localhost:${port}`;
+  const proc = spawn(process.execPath, ["index.js"], {
+    cwd: path.resolve(import.meta.dirname, ".."),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      DB_PATH: path.join(dir, "test.sqlite"),
+      ADMIN_PASSWORD_HASH: bcrypt.hashSync(PASSWORD, 4),
+      JWT_SECRET,
+      IDEA_COOLDOWN_SEC: "0",
+      ...env
+    },
+    stdio: "ignore"
+  });
+  const exited = new Promise(resolve => proc.once("exit", resolve));
+
+  for (let i = 0; ; i++) {
+    try {
+      await fetch(`${base}/api/public/categories`, { headers: { "X-Device-Id": "test-device-ready" } });
+      break;
+    } catch (e) {
+      if (i >= 50) throw e;
+      await new Promise(r => setTimeout(r, 200));
+    }
+  }
+
+  const dbPath = path.join(dir, "test.sqlite");
+  return {
+    base,
+    client: device => makeClient(base, device),
+    // Direct access to the server's database, e.g. to age a session
+    sql: (query, params = []) => new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(dbPath);
+      db.all(query, params, (err, rows) => db.close(() => (err ? reject(err) : resolve(rows))));
+    }),
+    async stop() {
+      proc.kill();
+      await exited;
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// Same RFC 6238 code as the server, for a given 30 s step
+export function totpCode(secret, step = Math.floor(Date.now() / 30000)) {
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = "";
+  for (const c of secret) bits += alphabet.indexOf(c).toString(2).padStart(5, "0");
+  const key = Buffer.from(bits.match(/.{8}/g).map(b => parseInt(b, 2)));
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", key).update(msg).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1_000_000).padStart(6, "0");
+}
@@ -0,0 +1,86 @@
+// Merging duplicate ideas then unmerging one must give every idea its own wall votes back
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+let admin;
+let category;
+let authors = 0;
+
+before(async () => {
+  server = await startServer();
+  admin = server.client();
+  assert.equal((await admin.login("admin")).status, 200);
+  category = (await admin.call("GET", "/api/public/categories")).data[0].slug;
+});
+
+after(() => server.stop());
+
+async function publishedIdeas(texts) {
+  const ids = [];
+  for (const text of texts) {
+    const r = await admin.call("POST", "/api/public/ideas", {
+      device: `test-device-author-${authors++}`,
+      body: { text, category, urgency: "basse" }
+    });
+    assert.equal(r.status, 200);
+    ids.push(r.data.id);
+    await admin.call("POST", `/api/admin/ideas/${r.data.id}/publish`, { body: { published: true } });
+  }
+  return ids;
+}
+
+const vote = (id, device) => admin.call("POST", `/api/public/wall/${id}/vote`, { device: `test-device-${device}` });
+
+async function adminVotes() {
+  const { data } = await admin.call("GET", "/api/admin/ideas?include_merged=1&limit=200");
+  return Object.fromEntries(data.items.map(i => [i.id, i.votes]));
+}
+
+test("merge then unmerge keeps each idea's vote count", async () => {
+  const [main, dupA, dupB] = await publishedIdeas(["Plus de bancs dans la cour", "Des bancs en plus dans la cour", "Installer des bancs dans la cour"]);
+
+  // main: 2 votes, dupA: 3 votes (one device also voted for main), dupB: 1 vote
+  const votes = [[main, "v1"], [main, "v2"], [dupA, "v2"], [dupA, "v3"], [dupA, "v4"], [dupB, "v5"]];
+  for (const [id, device] of votes) assert.equal((await vote(id, device)).status, 200);
+  const initial = await adminVotes();
+  assert.deepEqual([initial[main], initial[dupA], initial[dupB]], [2, 3, 1]);
+
+  const merged = await admin.call("POST", "/api/admin/ideas/merge", { body: { canonical_id: main, ids: [dupA, dupB] } });
+  assert.equal(merged.status, 200);
+  // Distinct devices across the group: v1..v5
+  assert.equal((await adminVotes())[main], 5);
+
+  for (const id of [dupA, dupB]) {
+    assert.equal((await admin.call("POST", `/api/admin/ideas/${id}/unmerge`)).status, 200);
+  }
+  assert.deepEqual(await adminVotes(), initial);
+});
+
+test("a device votes once per merge group, in both directions, and again after unmerge", async () => {
+  const [main, dup] = await publishedIdeas(["Un micro-ondes au foyer", "Micro-ondes pour le foyer"]);
+  assert.equal((await vote(dup, "w1")).status, 200);
+
+  assert.equal((await admin.call("POST", "/api/admin/ideas/merge", { body: { canonical_id: main, ids: [dup] } })).status, 200);
+  // Merging unpublishes the duplicate; published again, it must not open a second vote
+  await admin.call("POST", `/api/admin/ideas/${dup}/publish`, { body: { published: true } });
+
+  // duplicate -> canonical
+  assert.equal((await vote(main, "w1")).status, 409);
+  // canonical -> duplicate
+  assert.equal((await vote(main, "w2")).status, 200);
+  assert.equal((await vote(dup, "w2")).status, 409);
+
+  const { data: wall } = await admin.call("GET", "/api/public/wall", { device: "test-device-w2" });
+  assert.deepEqual(wall.filter(i => [main, dup].includes(i.id)).map(i => i.voted), [true, true]);
+  assert.equal((await adminVotes())[main], 2);
+
+  // Unmerged, they are two ideas again: each takes its own vote from each device
+  assert.equal((await admin.call("POST", `/api/admin/ideas/${dup}/unmerge`)).status, 200);
+  assert.equal((await vote(main, "w1")).status, 200);
+  assert.equal((await vote(dup, "w2")).status, 200);
+  assert.equal((await vote(dup, "w1")).status, 409);
+  const final = await adminVotes();
+  assert.deepEqual([final[main], final[dup]], [2, 2]);
+});
@@ -0,0 +1,47 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+let admin;
+let ideaId;
+
+before(async () => {
+  server = await startServer();
+  admin = server.client();
+  await admin.login("admin");
+  const [category] = (await admin.call("GET", "/api/public/categories")).data;
+  const r = await admin.call("POST", "/api/public/ideas", {
+    device: "test-device-author",
+    body: { text: "Ouvrir le CDI le midi", category: category.slug, urgency: "basse" }
+  });
+  ideaId = r.data.id;
+});
+
+after(() => server.stop());
+
+const setStatus = (status, comment) => admin.call("PATCH", `/api/admin/ideas/${ideaId}`, { body: { status, comment } });
+
+test("a status change records its history row with the comment", async () => {
+  assert.equal((await setStatus("en-etude", "Vu avec la direction")).status, 200);
+  assert.equal((await setStatus("realisee")).status, 200);
+
+  const { data } = await admin.call("GET", `/api/admin/ideas/${ideaId}/history`);
+  assert.deepEqual(data.map(h => [h.from_status, h.to_status, h.comment]), [
+    ["nouveau", "en-etude", "Vu avec la direction"],
+    ["en-etude", "realisee", null]
+  ]);
+  assert.match(data[0].created_at, /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+});
+
+test("the same transition sent twice at once applies once", async () => {
+  await server.sql(`UPDATE ideas SET status = 'refusee' WHERE id = ?`, [ideaId]);
+  const before = (await admin.call("GET", `/api/admin/ideas/${ideaId}/history`)).data.length;
+
+  const results = await Promise.all([setStatus("en-etude", "A"), setStatus("en-etude", "B")]);
+  assert.deepEqual(results.map(r => r.status).sort(), [200, 409]);
+
+  const { data } = await admin.call("GET", `/api/admin/ideas/${ideaId}/history`);
+  assert.equal(data.length, before + 1);
+  assert.equal(data.at(-1).to_status, "en-etude");
+});
@@ -0,0 +1,42 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ LOGIN_LOCK_THRESHOLD: "3", LOGIN_LOCK_BASE_SEC: "60" });
+});
+
+after(() => server.stop());
+
+test("an account is locked after N failures in a row, and one alert is raised", async () => {
+  const admin = server.client();
+  assert.equal((await admin.login("admin")).status, 200);
+  const created = await admin.call("POST", "/api/admin/users", {
+    body: { username: "presidente", display_name: "Présidente", password: "president-password-1", role: "president" }
+  });
+  assert.equal(created.status, 200);
+
+  const attacker = server.client("test-device-attacker");
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await attacker.login("admin", "wrong-password")).status, 401);
+  }
+
+  // Even the right password waits for the lock to end
+  const locked = await attacker.login("admin");
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get("retry-after")) > 0);
+  assert.equal((await attacker.login("admin", "wrong-password")).status, 429);
+
+  const { data } = await admin.call("GET", "/api/admin/security/logins");
+  assert.equal(data.alerts.length, 1);
+  assert.equal(data.alerts[0].kind, "account");
+  assert.equal(data.alerts[0].failures, 3);
+});
+
+test("other accounts on the same network can still log in", async () => {
+  const president = server.client("test-device-president");
+  assert.equal((await president.login("presidente", "president-password-1")).status, 200);
+  assert.equal((await server.client().login("admin")).status, 429);
+});
@@ -0,0 +1,85 @@
+// description_html is injected as is by the front ends: only the Markdown subset may come out
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = server.client();
+  await admin.login("admin");
+});
+
+after(() => server.stop());
+
+async function render(description) {
+  const r = await admin.call("POST", "/api/admin/news/preview", { body: { description } });
+  assert.equal(r.status, 200);
+  return r.data.html;
+}
+
+const hrefs = html => [...html.matchAll(/href="([^"]*)"/g)].map(m => m[1]);
+
+test("the Markdown subset is rendered", async () => {
+  const html = await render("# Titre\n**gras** et *italique*\n- un\n- deux\n[site](https://example.org) [mail](mailto:cvl@example.org)");
+  assert.match(html, /<h3>Titre<\/h3>/);
+  assert.match(html, /<strong>gras<\/strong> et <em>italique<\/em>/);
+  assert.match(html, /<ul><li>un<\/li><li>deux<\/li><\/ul>/);
+  assert.deepEqual(hrefs(html), ["https://example.org", "mailto:cvl@example.org"]);
+  assert.match(html, /rel="noopener noreferrer"/);
+});
+
+test("raw HTML comes out as text", async () => {
+  for (const payload of [
+    "<script>alert(1)</script>",
+    "<img src=x onerror=alert(1)>",
+    "<a href=\"javascript:alert(1)\">x</a>",
+    "<svg/onload=alert(1)>",
+    "<iframe src=\"https://evil.example\"></iframe>"
+  ]) {
+    const html = await render(payload);
+    assert.doesNotMatch(html, /<(script|img|svg|iframe|a)\b/i, payload);
+    assert.doesNotMatch(html, /\son\w+=/i, payload);
+  }
+});
+
+test("entity-encoded payloads stay encoded", async () => {
+  for (const payload of ["&lt;script&gt;alert(1)&lt;/script&gt;", "&#60;img src=x onerror=alert(1)&#62;", "\\u003cscript\\u003e"]) {
+    const html = await render(payload);
+    assert.doesNotMatch(html, /<(script|img)\b/i, payload);
+  }
+});
+
+test("links are limited to http, https and mailto", async () => {
+  for (const url of [
+    "javascript:alert(1)",
+    "JaVaScRiPt:alert(1)",
+    "&#106;avascript:alert(1)",
+    "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+    "vbscript:msgbox(1)",
+    "//evil.example",
+    "/#idees",
+    "file:///etc/passwd"
+  ]) {
+    const html = await render(`[cliquer](${url})`);
+    assert.deepEqual(hrefs(html), [], url);
+  }
+});
+
+test("a link cannot break out of its href", async () => {
+  const html = await render("[x](https://example.org/\"onmouseover=\"alert(1))");
+  assert.doesNotMatch(html, /\sonmouseover=/i);
+  for (const href of hrefs(html)) assert.match(href, /^https:\/\/example\.org\//);
+});
+
+test("the public API serves the same sanitized HTML", async () => {
+  const created = await admin.call("POST", "/api/admin/news", {
+    body: { title: "Actualité de test", description: "<img src=x onerror=alert(1)> [a](javascript:alert(1)) [b](https://example.org)" }
+  });
+  assert.equal(created.status, 200);
+  const [item] = (await admin.call("GET", "/api/public/news")).data;
+  assert.doesNotMatch(item.description_html, /<img|\sonerror=/i);
+  assert.deepEqual(hrefs(item.description_html), ["https://example.org"]);
+});
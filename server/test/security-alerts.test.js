@@ -0,0 +1,33 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer({ LOGIN_LOCK_THRESHOLD: "3" });
+});
+
+after(() => server.stop());
+
+test("only account managers can acknowledge a login alert", async () => {
+  const admin = server.client();
+  assert.equal((await admin.login("admin")).status, 200);
+  const created = await admin.call("POST", "/api/admin/users", {
+    body: { username: "lecteur", display_name: "Lecteur", password: "viewer-password-1", role: "viewer" }
+  });
+  assert.equal(created.status, 200);
+
+  const attacker = server.client("test-device-attacker");
+  for (let i = 0; i < 3; i++) await attacker.login("admin", "wrong-password");
+
+  const viewer = server.client("test-device-viewer");
+  assert.equal((await viewer.login("lecteur", "viewer-password-1")).status, 200);
+  const { data } = await viewer.call("GET", "/api/admin/security/logins");
+  assert.equal(data.alerts.length, 1);
+  const alertId = data.alerts[0].id;
+
+  assert.equal((await viewer.call("POST", `/api/admin/security/alerts/${alertId}/ack`)).status, 403);
+  assert.equal((await admin.call("POST", `/api/admin/security/alerts/${alertId}/ack`)).status, 200);
+  assert.equal((await viewer.call("GET", "/api/admin/security/logins")).data.alerts.length, 0);
+});
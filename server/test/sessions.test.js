@@ -0,0 +1,96 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { startServer, JWT_SECRET } from "./helpers.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server.stop());
+
+const sessionToken = client => /cvl_admin=([^;]+)/.exec(client.cookie)[1];
+
+test("mutations without the session's CSRF token are refused, then work once the token is re-read", async () => {
+  const admin = server.client();
+  assert.equal((await admin.login("admin")).status, 200);
+  const token = admin.csrf;
+  const preview = () => admin.call("POST", "/api/admin/news/preview", { body: { description: "**Bonjour**" } });
+
+  admin.csrf = "";
+  let r = await preview();
+  assert.equal(r.status, 403);
+  assert.equal(r.data.code, "csrf");
+
+  admin.csrf = "not-the-session-token";
+  assert.equal((await preview()).status, 403);
+
+  // What the front ends do on code "csrf": re-read the token once and retry
+  r = await admin.call("GET", "/api/admin/me");
+  assert.equal(r.data.csrf_token, token);
+  assert.equal((await preview()).status, 200);
+});
+
+test("a session idle for too long is refused", async () => {
+  const admin = server.client();
+  await admin.login("admin");
+  const { sid } = jwt.decode(sessionToken(admin));
+
+  await server.sql(`UPDATE sessions SET last_seen_at = ? WHERE id = ?`, [new Date(Date.now() - 2 * 3600 * 1000).toISOString(), sid]);
+  const r = await admin.call("GET", "/api/admin/me");
+  assert.equal(r.status, 401);
+  assert.equal(r.data.error, "Session expirée");
+});
+
+test("an active session is renewed (new cookie, last_seen_at moved forward)", async () => {
+  const admin = server.client();
+  await admin.login("admin");
+  const { uid, sid } = jwt.decode(sessionToken(admin));
+  const lastSeen = new Date(Date.now() - 50 * 60 * 1000).toISOString();
+  await server.sql(`UPDATE sessions SET last_seen_at = ? WHERE id = ?`, [lastSeen, sid]);
+
+  // A cookie issued 10 minutes ago: past the 5 min renewal threshold
+  const old = jwt.sign({ uid, sid, iat: Math.floor(Date.now() / 1000) - 600 }, JWT_SECRET, { expiresIn: "60m" });
+  admin.cookie = `cvl_admin=${old}`;
+  const r = await admin.call("GET", "/api/admin/me");
+  assert.equal(r.status, 200);
+  assert.notEqual(sessionToken(admin), old);
+  assert.equal(jwt.decode(sessionToken(admin)).sid, sid);
+  const [row] = await server.sql(`SELECT last_seen_at FROM sessions WHERE id = ?`, [sid]);
+  assert.ok(row.last_seen_at > lastSeen);
+});
+
+test("changing a member's role revokes their sessions", async () => {
+  const admin = server.client();
+  await admin.login("admin");
+  const created = await admin.call("POST", "/api/admin/users", {
+    body: { username: "redac", display_name: "Rédaction", password: "editor-password-1", role: "editor" }
+  });
+  assert.equal(created.status, 200);
+
+  const editor = server.client("test-device-editor");
+  assert.equal((await editor.login("redac", "editor-password-1")).status, 200);
+  assert.equal((await editor.call("GET", "/api/admin/me")).status, 200);
+
+  assert.equal((await admin.call("PATCH", `/api/admin/users/${created.data.id}`, { body: { role: "viewer" } })).status, 200);
+  assert.equal((await editor.call("GET", "/api/admin/me")).status, 401);
+  // The admin's own session is untouched
+  assert.equal((await admin.call("GET", "/api/admin/me")).status, 200);
+});
+
+test("logging out needs the CSRF token and revokes the session server-side", async () => {
+  const admin = server.client();
+  await admin.login("admin");
+  const cookie = admin.cookie;
+  const forged = await admin.call("POST", "/api/auth/logout", { csrf: false });
+  assert.equal(forged.status, 403);
+  assert.equal(forged.data.code, "csrf");
+  assert.equal((await admin.call("GET", "/api/admin/me")).status, 200);
+
+  assert.equal((await admin.call("POST", "/api/auth/logout")).status, 200);
+
+  admin.cookie = cookie;
+  assert.equal((await admin.call("GET", "/api/admin/me")).status, 401);
+});
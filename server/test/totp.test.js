@@ -0,0 +1,70 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startServer, totpCode } from "./helpers.js";
+
+let server;
+let secret;
+let recoveryCodes;
+
+before(async () => {
+  server = await startServer();
+  const admin = server.client();
+  await admin.login("admin");
+  const setup = await admin.call("POST", "/api/admin/me/totp/setup");
+  assert.match(setup.data.qr_url, /^data:image\/svg\+xml;base64,/);
+  secret = setup.data.secret;
+  const enabled = await admin.call("POST", "/api/admin/me/totp/enable", { body: { code: totpCode(secret) } });
+  assert.equal(enabled.status, 200);
+  recoveryCodes = enabled.data.recovery_codes;
+});
+
+after(() => server.stop());
+
+// Password step: no cookie yet, only a challenge for /api/auth/totp
+async function passwordStep(device) {
+  const client = server.client(device);
+  const r = await client.login("admin");
+  assert.equal(r.data.totp_required, true);
+  assert.equal(client.cookie, "");
+  return { client, challenge: r.data.challenge };
+}
+
+test("a TOTP code opens a session once and cannot be replayed", async () => {
+  // The enrolment code's step is already used: take the next one (within the drift window)
+  const code = totpCode(secret, Math.floor(Date.now() / 30000) + 1);
+
+  const first = await passwordStep("test-device-phone-1");
+  const ok = await first.client.call("POST", "/api/auth/totp", { body: { challenge: first.challenge, code } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.data.method, "totp");
+  assert.equal((await first.client.call("GET", "/api/admin/me")).status, 200);
+
+  const second = await passwordStep("test-device-phone-2");
+  const replay = await second.client.call("POST", "/api/auth/totp", { body: { challenge: second.challenge, code } });
+  assert.equal(replay.status, 401);
+  assert.equal(second.client.cookie, "");
+});
+
+test("a recovery code works once", async () => {
+  assert.equal(recoveryCodes.length, 10);
+  const recovery_code = recoveryCodes[0].toLowerCase().replace("-", " ");
+
+  const first = await passwordStep("test-device-recovery-1");
+  const ok = await first.client.call("POST", "/api/auth/totp", { body: { challenge: first.challenge, recovery_code } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.data.method, "recovery");
+  assert.equal(ok.data.recovery_codes_left, 9);
+
+  const second = await passwordStep("test-device-recovery-2");
+  const reused = await second.client.call("POST", "/api/auth/totp", { body: { challenge: second.challenge, recovery_code } });
+  assert.equal(reused.status, 401);
+});
+
+test("a wrong code is refused", async () => {
+  const { client, challenge } = await passwordStep("test-device-guess");
+  const step = Math.floor(Date.now() / 30000);
+  const valid = [-1, 0, 1, 2].map(d => totpCode(secret, step + d));
+  const code = ["000000", "111111", "222222"].find(c => !valid.includes(c));
+  const r = await client.call("POST", "/api/auth/totp", { body: { challenge, code } });
+  assert.equal(r.status, 401);
+});
@@ -0,0 +1,363 @@
+#!/usr/bin/env node
+// CVL admin CLI (offline): password hashes, admin accounts, secrets, DB maintenance.
+// Usage: node tools/admin.js <command> [options]   (or: npm run admin -- <command>)
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import crypto from "crypto";
+import readline from "readline";
+import { Writable } from "stream";
+import { parseArgs } from "util";
+import dotenv from "dotenv";
+import bcrypt from "bcryptjs";
+import sqlite3 from "sqlite3";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.resolve(__dirname, "..");
+
+// Same keys as ADMIN_ROLES in index.js
+const ROLES = ["president", "editor", "moderator", "viewer"];
+const BCRYPT_COST = 12;
+
+const HELP = `CVL admin CLI
+
+  hash [--write]                      Demande un mot de passe et affiche son hash bcrypt
+                                      (--write : l'enregistre dans ADMIN_PASSWORD_HASH)
+  user:list                           Liste les comptes admin
+  user:create <identifiant> --role <rôle> [--name "Nom affiché"]
+  user:reset-password <identifiant>   Nouveau mot de passe (ferme ses sessions)
+  user:role <identifiant> <rôle> [--force]
+  user:disable <identifiant> [--force]
+                                      Désactive le compte (ferme ses sessions)
+                                      (--force : même s'il s'agit du dernier président actif)
+  user:enable <identifiant>
+  user:reset-2fa <identifiant>        Désactive la 2FA (téléphone perdu)
+  jwt:rotate                          Nouveau JWT_SECRET dans .env (déconnecte tout le monde)
+  vapid [--write]                     Génère une paire de clés VAPID (push)
+  db:check                            Vérifie l'intégrité de la base
+  db:backup [fichier]                 Copie cohérente de la base (VACUUM INTO)
+  db:maintenance                      Purge sessions expirées + ANALYZE + VACUUM
+
+Options communes : --env <fichier .env> (défaut : server/.env)
+Rôles : ${ROLES.join(", ")}`;
+
+// ======================
+// Helpers
+// ======================
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+// Hidden input on a terminal; plain line when piped (e.g. echo "pw" | node tools/admin.js hash)
+function prompt(question, { hidden = false } = {}) {
+  return new Promise((resolve) => {
+    // prompts go to stderr so stdout only carries the result (hash > file);
+    // muted once the question is written so typed characters aren't echoed
+    let muted = false;
+    const output = new Writable({
+      write(chunk, encoding, callback) {
+        if (!muted) process.stderr.write(chunk);
+        callback();
+      }
+    });
+    const rl = readline.createInterface({ input: process.stdin, output, terminal: process.stdin.isTTY });
+    rl.question(question, (answer) => {
+      rl.close();
+      if (muted) process.stderr.write("\n");
+      resolve(answer);
+    });
+    muted = hidden && !!process.stdin.isTTY;
+  });
+}
+
+async function promptNewPassword() {
+  const password = await prompt("Mot de passe : ", { hidden: true });
+  if (password.length < 10) fail("10 caractères minimum");
+  if (process.stdin.isTTY) {
+    const again = await prompt("Confirmer : ", { hidden: true });
+    if (again !== password) fail("Les mots de passe ne correspondent pas");
+  }
+  return password;
+}
+
+// Rewrites one or more KEY=value lines; keeps comments/order, backs up to .env.bak,
+// writes to a temp file then renames (never a half-written .env)
+function writeEnv(envFile, values) {
+  const exists = fs.existsSync(envFile);
+  const lines = exists ? fs.readFileSync(envFile, "utf8").split(/\r?\n/) : [];
+  if (lines.length && lines[lines.length - 1] === "") lines.pop();
+
+  for (const [key, value] of Object.entries(values)) {
+    const line = `${key}=${value}`;
+    const idx = lines.findIndex(l => new RegExp(`^\\s*(export\\s+)?${key}\\s*=`).test(l));
+    if (idx >= 0) lines[idx] = line;
+    else lines.push(line);
+  }
+
+  if (exists) fs.copyFileSync(envFile, `${envFile}.bak`);
+  const tmp = `${envFile}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, lines.join("\n") + "\n", { mode: 0o600 });
+  fs.renameSync(tmp, envFile);
+  console.log(`✅ ${Object.keys(values).join(", ")} écrit dans ${envFile}${exists ? ` (sauvegarde : ${path.basename(envFile)}.bak)` : ""}`);
+}
+
+function openDb() {
+  const dbPath = path.resolve(SERVER_DIR, process.env.DB_PATH || "./data.sqlite");
+  if (!fs.existsSync(dbPath)) fail(`Base introuvable (${dbPath}) : démarre le serveur une fois pour la créer`);
+
+  const db = new sqlite3.Database(dbPath);
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) { return err ? reject(err) : resolve(this); });
+  });
+  const get = (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  });
+  const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+  const close = () => new Promise((resolve) => db.close(() => resolve()));
+  return { dbPath, run, get, all, close };
+}
+
+async function requireTable(db, table) {
+  const row = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`, [table]);
+  if (!row) fail(`Table ${table} absente : démarre la version à jour du serveur une fois pour migrer la base`);
+}
+
+async function findUser(db, username) {
+  if (!username) fail("Identifiant manquant");
+  await requireTable(db, "users");
+  const user = await db.get(`SELECT * FROM users WHERE username = ?`, [username]);
+  if (!user) fail(`Compte « ${username} » introuvable`);
+  return user;
+}
+
+// CLI changes land in the same audit log as the admin panel (actor "cli")
+async function audit(db, action, targetId, before, after) {
+  const exists = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'audit_log'`);
+  if (!exists) return;
+  await db.run(
+    `INSERT INTO audit_log(user_id, actor, action, target_type, target_id, before_json, after_json, ip_hash, created_at)
+     VALUES(NULL, 'cli', ?, 'user', ?, ?, ?, NULL, ?)`,
+    [action, String(targetId), before ? JSON.stringify(before) : null, after ? JSON.stringify(after) : null, new Date().toISOString()]
+  );
+}
+
+async function revokeSessions(db, userId) {
+  const exists = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sessions'`);
+  if (!exists) return;
+  await db.run(`UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`, [new Date().toISOString(), userId]);
+}
+
+// Same rule as PATCH /api/admin/users/:id: never lock everyone out of user management
+async function guardLastPresident(db, user, force) {
+  if (user.role !== "president" || user.disabled || force) return;
+  const row = await db.get(`SELECT COUNT(*) AS n FROM users WHERE role = 'president' AND disabled = 0 AND id != ?`, [user.id]);
+  if (!row.n) fail("Il doit rester au moins un compte président actif (--force pour passer outre)");
+}
+
+function snapshot(u) {
+  return { id: u.id, username: u.username, display_name: u.display_name, role: u.role, disabled: !!u.disabled };
+}
+
+// P-256 key pair in the format web-push expects (base64url, uncompressed public key)
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+  const priv = ecdh.getPrivateKey(); // may drop leading zero bytes
+  return {
+    publicKey: ecdh.getPublicKey().toString("base64url"),
+    privateKey: Buffer.concat([Buffer.alloc(32 - priv.length), priv]).toString("base64url")
+  };
+}
+
+// ======================
+// Commands
+// ======================
+const commands = {
+  async hash({ values, envFile }) {
+    const hash = await bcrypt.hash(await promptNewPassword(), BCRYPT_COST);
+    if (values.write) writeEnv(envFile, { ADMIN_PASSWORD_HASH: hash });
+    else console.log(hash);
+  },
+
+  async "user:list"() {
+    const db = openDb();
+    await requireTable(db, "users");
+    const rows = await db.all(`SELECT * FROM users ORDER BY disabled ASC, username ASC`);
+    for (const u of rows) {
+      const flags = [u.disabled ? "désactivé" : null, u.totp_enabled ? "2FA" : null].filter(Boolean).join(", ");
+      console.log(`${String(u.id).padStart(3)}  ${u.username.padEnd(20)} ${u.role.padEnd(10)} ${u.display_name}${flags ? `  [${flags}]` : ""}`);
+    }
+    if (!rows.length) console.log("Aucun compte.");
+    await db.close();
+  },
+
+  async "user:create"({ positionals, values }) {
+    const [username] = positionals;
+    if (!/^[a-zA-Z0-9._-]{3,40}$/.test(username || "")) fail("Identifiant invalide (3-40 caractères : lettres, chiffres, . _ -)");
+    if (!ROLES.includes(values.role)) fail(`--role requis : ${ROLES.join(", ")}`);
+
+    const db = openDb();
+    await requireTable(db, "users");
+    if (await db.get(`SELECT id FROM users WHERE username = ?`, [username])) fail("Identifiant déjà utilisé");
+
+    const hash = await bcrypt.hash(await promptNewPassword(), BCRYPT_COST);
+    const now = new Date().toISOString();
+    const r = await db.run(
+      `INSERT INTO users(username, display_name, password_hash, role, created_at, updated_at) VALUES(?, ?, ?, ?, ?, ?)`,
+      [username, (values.name || username).slice(0, 60), hash, values.role, now, now]
+    );
+    const user = await db.get(`SELECT * FROM users WHERE id = ?`, [r.lastID]);
+    await audit(db, "user.create", user.id, null, snapshot(user));
+    console.log(`✅ Compte « ${username} » créé (${values.role})`);
+    await db.close();
+  },
+
+  async "user:reset-password"({ positionals }) {
+    const db = openDb();
+    const user = await findUser(db, positionals[0]);
+    const hash = await bcrypt.hash(await promptNewPassword(), BCRYPT_COST);
+    await db.run(`UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`, [hash, new Date().toISOString(), user.id]);
+    await revokeSessions(db, user.id);
+    await audit(db, "user.update", user.id, snapshot(user), { ...snapshot(user), password_reset: true });
+    console.log(`✅ Mot de passe de « ${user.username} » réinitialisé`);
+    await db.close();
+  },
+
+  async "user:role"({ positionals, values }) {
+    const [username, role] = positionals;
+    if (!ROLES.includes(role)) fail(`Rôle invalide : ${ROLES.join(", ")}`);
+    const db = openDb();
+    const user = await findUser(db, username);
+    if (role !== "president") await guardLastPresident(db, user, values.force);
+    await db.run(`UPDATE users SET role = ?, updated_at = ? WHERE id = ?`, [role, new Date().toISOString(), user.id]);
+    await revokeSessions(db, user.id);
+    await audit(db, "user.update", user.id, snapshot(user), { ...snapshot(user), role });
+    console.log(`✅ « ${user.username} » : ${user.role} → ${role}`);
+    await db.close();
+  },
+
+  async "user:disable"({ positionals, values }) {
+    const db = openDb();
+    const user = await findUser(db, positionals[0]);
+    await guardLastPresident(db, user, values.force);
+    await db.run(`UPDATE users SET disabled = 1, updated_at = ? WHERE id = ?`, [new Date().toISOString(), user.id]);
+    await revokeSessions(db, user.id);
+    await audit(db, "user.update", user.id, snapshot(user), { ...snapshot(user), disabled: true });
+    console.log(`✅ « ${user.username} » désactivé`);
+    await db.close();
+  },
+
+  async "user:enable"({ positionals }) {
+    const db = openDb();
+    const user = await findUser(db, positionals[0]);
+    await db.run(`UPDATE users SET disabled = 0, updated_at = ? WHERE id = ?`, [new Date().toISOString(), user.id]);
+    await audit(db, "user.update", user.id, snapshot(user), { ...snapshot(user), disabled: false });
+    console.log(`✅ « ${user.username} » réactivé`);
+    await db.close();
+  },
+
+  async "user:reset-2fa"({ positionals }) {
+    const db = openDb();
+    const user = await findUser(db, positionals[0]);
+    await db.run(
+      `UPDATE users SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL, updated_at = ? WHERE id = ?`,
+      [new Date().toISOString(), user.id]
+    );
+    await db.run(`DELETE FROM user_recovery_codes WHERE user_id = ?`, [user.id]);
+    await revokeSessions(db, user.id);
+    await audit(db, "user.update", user.id, snapshot(user), { ...snapshot(user), totp_reset: true });
+    console.log(`✅ 2FA de « ${user.username} » désactivée`);
+    await db.close();
+  },
+
+  async "jwt:rotate"({ envFile }) {
+    writeEnv(envFile, { JWT_SECRET: crypto.randomBytes(48).toString("base64url") });
+    console.log("ℹ️  Redémarre le serveur : toutes les sessions admin seront fermées.");
+    if (!process.env.IP_HASH_SECRET) {
+      console.log("ℹ️  IP_HASH_SECRET non défini : les hash d'IP du journal d'audit changeront aussi.");
+    }
+  },
+
+  async vapid({ values, envFile }) {
+    const keys = generateVapidKeys();
+    if (values.write) {
+      writeEnv(envFile, { VAPID_PUBLIC_KEY: keys.publicKey, VAPID_PRIVATE_KEY: keys.privateKey });
+      console.log("ℹ️  Les abonnements push existants devront être renouvelés (nouvelle clé publique).");
+    } else {
+      console.log(`VAPID_PUBLIC_KEY=${keys.publicKey}`);
+      console.log(`VAPID_PRIVATE_KEY=${keys.privateKey}`);
+    }
+  },
+
+  async "db:check"() {
+    const db = openDb();
+    const rows = await db.all(`PRAGMA integrity_check`);
+    const fk = await db.all(`PRAGMA foreign_key_check`);
+    const ok = rows.length === 1 && rows[0].integrity_check === "ok" && !fk.length;
+    for (const r of rows) if (r.integrity_check !== "ok") console.log(r.integrity_check);
+    for (const r of fk) console.log(`Clé étrangère cassée : ${r.table} #${r.rowid} → ${r.parent}`);
+    console.log(ok ? `✅ ${db.dbPath} : intègre` : "❌ Problèmes détectés");
+    await db.close();
+    if (!ok) process.exit(1);
+  },
+
+  async "db:backup"({ positionals }) {
+    const db = openDb();
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-").slice(0, 19);
+    const target = path.resolve(positionals[0] || `${db.dbPath}.${stamp}.bak`);
+    if (fs.existsSync(target)) fail(`${target} existe déjà`);
+    await db.run(`VACUUM INTO ?`, [target]);
+    console.log(`✅ Sauvegarde : ${target}`);
+    await db.close();
+  },
+
+  async "db:maintenance"() {
+    const db = openDb();
+    const hasSessions = await db.get(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'sessions'`);
+    if (hasSessions) {
+      const r = await db.run(
+        `DELETE FROM sessions WHERE expires_at < ? OR revoked_at IS NOT NULL`,
+        [new Date().toISOString()]
+      );
+      console.log(`Sessions purgées : ${r.changes}`);
+    }
+    await db.run(`PRAGMA wal_checkpoint(TRUNCATE)`);
+    await db.run(`ANALYZE`);
+    await db.run(`VACUUM`);
+    console.log("✅ Maintenance terminée (ANALYZE + VACUUM)");
+    await db.close();
+  }
+};
+
+// ======================
+// Main
+// ======================
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    env: { type: "string" },
+    role: { type: "string" },
+    name: { type: "string" },
+    write: { type: "boolean" },
+    force: { type: "boolean" },
+    help: { type: "boolean", short: "h" }
+  }
+});
+
+const [command, ...rest] = positionals;
+if (!command || values.help || !commands[command]) {
+  console.log(HELP);
+  process.exit(command && !values.help ? 1 : 0);
+}
+
+const envFile = path.resolve(values.env || path.join(SERVER_DIR, ".env"));
+dotenv.config({ path: envFile });
+
+try {
+  await commands[command]({ positionals: rest, values, envFile });
+} catch (e) {
+  fail(e.message);
+}